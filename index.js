@@ -1,89 +1,648 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
 const { google } = require('googleapis');
+const { sqlToCommand } = require('./lib/sql/compiler');
+const { SqlSyntaxError, ValidationError, ConflictError, ConstraintError } = require('./lib/errors');
+const { normalizeSchema, serializeValue, protectValue, castValue, compareValue } = require('./lib/schema');
+const { quoteSheetName, letterToColumn, formatRange } = require('./lib/a1');
+const SheetsCache = require('./lib/cache');
+const RetryingClient = require('./lib/retry');
+const MemoryAdapter = require('./lib/adapters/memory');
+const JsonFileAdapter = require('./lib/adapters/jsonFile');
+const Migrator = require('./lib/migrator');
+const Watcher = require('./lib/watcher');
+const { resolveFormat, readRecords, writeRows } = require('./lib/io');
+const { createServer, createHandler, bearerAuth } = require('./lib/server');
+const { Hooks, hookContext } = require('./lib/hooks');
+const QueryBuilder = require('./lib/queryBuilder');
+
+// Most ranges sent in one values.batchUpdate/batchClear request. Larger
+// changes are split into several requests.
+const BATCH_SIZE = 500;
+
+// Rows fetched per request by selectStream()/selectPage(), and rows per
+// page when selectPage() isn't given a pageSize
+const DEFAULT_CHUNK_SIZE = 1000;
+const DEFAULT_PAGE_SIZE = 100;
+
+// Rows per insertMany() call in importFrom()
+const IMPORT_CHUNK_SIZE = 500;
+
+// SQL LIKE pattern to a RegExp: % matches any run of characters, _ matches
+// exactly one. Case-insensitive unless asked otherwise.
+function likeToRegExp(pattern, caseSensitive = false) {
+  const source = String(pattern)
+    .split('')
+    .map(ch => {
+      if (ch === '%') return '.*';
+      if (ch === '_') return '.';
+      return ch.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`, caseSensitive ? 's' : 'is');
+}
+
+// Snapshot ids are "<table>@<UTC time>", e.g. "Users@20261019T200031700Z",
+// with "-2", "-3", ... added when two are taken in the same millisecond
+const SNAPSHOT_ID = /^(.+)@(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(\d{3})Z(?:-\d+)?$/;
+
+function parseSnapshotId(id) {
+  const match = SNAPSHOT_ID.exec(String(id));
+  if (!match) return null;
+  const [, table, year, month, day, hour, minute, second, ms] = match;
+  return { table, createdAt: new Date(Date.UTC(year, month - 1, day, hour, minute, second, ms)) };
+}
+
+// Table names may hold characters that can't go in a file name
+function snapshotFileName(id) {
+  return `${encodeURIComponent(id).replace(/%40/g, '@')}.json`;
+}
+
+// File snapshots hold what the API returns with valueRenderOption FORMULA:
+// numbers and booleans as JSON values, text and formulas as strings. Text
+// that USER_ENTERED would turn into a number or boolean gets the apostrophe
+// that keeps it text.
+function keepText(cell) {
+  if (typeof cell !== 'string') return cell;
+  if ((cell.trim() !== '' && !isNaN(cell)) || /^(true|false)$/i.test(cell)) return `'${cell}`;
+  return cell;
+}
 
 class GoogleSheetDB {
-  constructor(credentials, sheetId, sheetName) {
-    if (!credentials) throw new Error('Missing Google credentials JSON');
+  // options.adapter replaces the Google Sheets client with a storage adapter
+  // (see lib/adapters/memory.js); credentials aren't needed then.
+  // options.headerRow (1-based) and options.headerStartColumn (a column
+  // letter) anchor the table somewhere other than A1. options.versionColumn
+  // names a column that counts every write to a row (see update()), and
+  // options.idColumn a hidden column holding a permanent id per row (see
+  // findById()). See below for options.cache.
+  constructor(credentials, sheetId, sheetName, options = {}) {
+    if (!credentials && !options.adapter) throw new Error('Missing Google credentials JSON');
+
+    const headerRow = options.headerRow === undefined ? 1 : options.headerRow;
+    if (!Number.isInteger(headerRow) || headerRow < 1) {
+      throw new Error('headerRow must be a row number starting at 1');
+    }
 
     this.sheetId = sheetId;
     this.sheetName = sheetName;
+    this.headerRow = headerRow;
+    // Zero-based index of the table's first column
+    this.startColumn = letterToColumn(options.headerStartColumn || 'A');
+    this.versionColumn = options.versionColumn || null;
+    this.idColumn = options.idColumn || null;
+    // options.autoSnapshot snapshots a tab before truncateTable, dropTable,
+    // dropColumn, restoreSnapshot and update/delete with an empty where;
+    // options.snapshotDir keeps snapshots as files there instead of tabs
+    this.autoSnapshot = Boolean(options.autoSnapshot);
+    this.snapshotDir = options.snapshotDir || null;
+    // options.timestamps stamps rows in created_at/updated_at columns;
+    // { createdAt, updatedAt } renames them, false leaves one out.
+    // options.softDelete makes delete() set a deleted_at column (or the
+    // column named) instead of removing rows, see delete() and restore()
+    const timestamps = options.timestamps === true ? {} : options.timestamps || null;
+    const timestampColumn = (name, fallback) => (name === false ? null : name || fallback);
+    this.createdAtColumn = timestamps ? timestampColumn(timestamps.createdAt, 'created_at') : null;
+    this.updatedAtColumn = timestamps ? timestampColumn(timestamps.updatedAt, 'updated_at') : null;
+    this.deletedAtColumn = options.softDelete
+      ? (typeof options.softDelete === 'string' ? options.softDelete : 'deleted_at')
+      : null;
+    // Declared column types per tab, see defineSchema()
+    this.schemas = {};
+    // Hooks added with on()/use(), shared with the other tabs' views
+    this.hooks = new Hooks();
+
+    if (options.adapter) {
+      this.sheets = options.adapter;
+    } else {
+      this.auth = new google.auth.JWT(
+        credentials.client_email,
+        null,
+        credentials.private_key,
+        ['https://www.googleapis.com/auth/spreadsheets']
+      );
+
+      this.sheets = google.sheets({ version: 'v4', auth: this.auth });
+    }
+
+    // options.retry retries rate-limit and server errors with backoff, and
+    // options.rateLimit spaces out requests to stay under the quotas. Both
+    // take true for the defaults or an object (see lib/retry.js).
+    if (options.retry || options.rateLimit) {
+      this.retrier = new RetryingClient(this.sheets, { retry: options.retry, rateLimit: options.rateLimit });
+      this.sheets = this.retrier;
+    }
+
+    // options.cache (true or { ttl }) keeps reads of sheet data, headers and
+    // metadata until they expire or one of our writes changes them
+    if (options.cache) {
+      this.cache = new SheetsCache(this.sheets, options.cache === true ? {} : options.cache);
+      this.sheets = this.cache;
+    }
+  }
+
+  // Requests made, retries, and how often/long the rate limiter held calls
+  // back. null unless retry or rateLimit is configured.
+  getRetryStats() {
+    return this.retrier ? { ...this.retrier.stats } : null;
+  }
 
-    this.auth = new google.auth.JWT(
-      credentials.client_email,
-      null,
-      credentials.private_key,
-      ['https://www.googleapis.com/auth/spreadsheets']
+  // Forgets every cached read so the next call fetches fresh data. Use it
+  // after the spreadsheet was edited by someone else.
+  refresh() {
+    if (this.cache) this.cache.clear();
+  }
+
+  // Adds a hook: beforeInsert/afterInsert, beforeUpdate/afterUpdate,
+  // beforeDelete/afterDelete or beforeQuery (see lib/hooks.js). Hooks run
+  // for every tab; context.table says which one a call is on.
+  on(event, fn) {
+    this.hooks.on(event, fn);
+    return this;
+  }
+
+  off(event, fn) {
+    this.hooks.off(event, fn);
+    return this;
+  }
+
+  // A hook function for every event, or an object of hooks by event name
+  use(middleware) {
+    this.hooks.use(middleware);
+    return this;
+  }
+
+  // Runs the before hooks of a write (`kind` is Insert, Update or Delete).
+  // The caller goes on with context.data/where unless context.cancelled.
+  async _beforeWrite(kind, fields) {
+    const context = hookContext(this.sheetName, fields);
+    await this.hooks.run(`before${kind}`, context);
+    return context;
+  }
+
+  // Runs the after hooks of a write; resolves to the result they leave
+  async _afterWrite(kind, context, result) {
+    context.result = result;
+    await this.hooks.run(`after${kind}`, context);
+    return context.result;
+  }
+
+  // What a call a hook cancelled returns
+  _cancelled(context) {
+    return {
+      success: false,
+      cancelled: true,
+      error: context.reason || `${context.operation}() was cancelled by a ${context.event} hook`,
+    };
+  }
+
+  // A view of this instance that works on another tab of the same
+  // spreadsheet. It shares the API client and everything else; the other
+  // tab's table is expected at A1. Row ids, versions, timestamps and soft
+  // deletes were set up for this instance's own tab, so the view leaves
+  // them off.
+  _withTable(name) {
+    if (!name || name === this.sheetName) return this;
+    const db = Object.create(this);
+    db.sheetName = name;
+    db.headerRow = 1;
+    db.startColumn = 0;
+    db.idColumn = null;
+    db.versionColumn = null;
+    db.createdAtColumn = null;
+    db.updatedAtColumn = null;
+    db.deletedAtColumn = null;
+    return db;
+  }
+
+  // A1 range over the table's columns from row `firstRow` to `lastRow`
+  // (1-based row numbers; a null lastRow runs to the bottom of the tab)
+  _rowRange(firstRow, width, lastRow = firstRow) {
+    return formatRange(
+      this.sheetName,
+      firstRow - 1,
+      this.startColumn,
+      lastRow === null ? null : lastRow - 1,
+      this.startColumn + width - 1
     );
+  }
 
-    this.sheets = google.sheets({ version: 'v4', auth: this.auth });
+  // The table's headers within its header row: from the start column up to
+  // the first blank cell, so tables side by side in one tab stay apart.
+  _tableHeaders(row) {
+    const cells = row.slice(this.startColumn);
+    const end = cells.indexOf('');
+    return end === -1 ? cells : cells.slice(0, end);
   }
+
   async _getHeaders() {
     const res = await this.sheets.spreadsheets.values.get({
       spreadsheetId: this.sheetId,
-      range: `${this.sheetName}!1:1`,
+      range: `${quoteSheetName(this.sheetName)}!${this.headerRow}:${this.headerRow}`,
     });
-    return res.data.values[0];
+    // The API leaves `values` out when the header row is empty
+    return this._tableHeaders((res.data.values || [[]])[0]);
   }
 
   async _getSheetData() {
     const res = await this.sheets.spreadsheets.values.get({
       spreadsheetId: this.sheetId,
-      range: this.sheetName,
+      range: quoteSheetName(this.sheetName),
     });
 
-    const rows = res.data.values || [];
+    const rows = (res.data.values || []).slice(this.headerRow - 1);
     if (rows.length === 0) return [];
 
-    const headers = rows[0];
-    return rows.slice(1).map((row, i) => {
-      const obj = {};
-      headers.forEach((key, j) => {
-        obj[key] = row[j] || '';
-      });
-      obj._row = i + 2;
-      return obj;
+    const headers = this._tableHeaders(rows[0]);
+    const data = rows.slice(1).map((row, i) => (
+      this._rowObject(headers, row.slice(this.startColumn), this.headerRow + 1 + i)
+    ));
+
+    // A taller table next to this one leaves blank rows below it
+    while (data.length && this._isEmptyRow(data[data.length - 1])) data.pop();
+    return data;
+  }
+
+  // { header: cell, ..., _row } for the table's cells of one row
+  _rowObject(headers, cells, rowNumber) {
+    const obj = {};
+    headers.forEach((key, j) => {
+      obj[key] = cells[j] || '';
     });
+    obj._row = rowNumber;
+    return obj;
+  }
+
+  // Reads the table `chunkSize` rows per request, starting at row `fromRow`,
+  // and yields the rows matching `where` as each chunk arrives. Blank rows
+  // are always left out: the API drops them from the end of each chunk, so
+  // they couldn't be reported consistently anyway.
+  async *_scanRows(where, options = {}, fromRow = null) {
+    const { chunkSize = DEFAULT_CHUNK_SIZE } = options;
+    if (!Number.isInteger(chunkSize) || chunkSize < 1) throw new Error('chunkSize must be a positive integer');
+    const headers = await this._getHeaders();
+    const { gridProperties } = await this._getSheetProperties();
+    const lastRow = gridProperties.rowCount;
+
+    for (let start = fromRow || this.headerRow + 1; start <= lastRow; start += chunkSize) {
+      const end = Math.min(start + chunkSize - 1, lastRow);
+      const res = await this.sheets.spreadsheets.values.get({
+        spreadsheetId: this.sheetId,
+        range: this._rowRange(start, headers.length, end),
+      });
+      const rows = (res.data.values || [])
+        .map((cells, i) => this._rowObject(headers, cells, start + i))
+        .filter(row => !this._isEmptyRow(row));
+      yield* this._applyFilter(this._visibleRows(rows, options), where);
+    }
+  }
+
+  // Options that need every row at once, which a stream or page can't give
+  _checkStreamOptions(options, method) {
+    const unsupported = ['orderBy', 'groupBy', 'aggregates', 'having', 'distinct'].filter(key => options[key]);
+    if (unsupported.length) {
+      throw new Error(`${method}() doesn't support ${unsupported.join(', ')}; use select() instead`);
+    }
   }
 
-  _parseValue(value, isDate) {
+  // A matched row shaped like select() returns it
+  _shapeRow(row, options) {
+    const rows = options.selectFields ? this._applySelectFields([row], options.selectFields) : [row];
+    return this._castRows(rows)[0];
+  }
+
+  // Async iterator over the rows select() would return, read in chunks of
+  // `chunkSize` rows so large tabs never sit in memory at once. Reading
+  // stops as soon as `limit` rows were produced.
+  //
+  //   for await (const row of db.selectStream({ status: 'open' }, { limit: 50 })) { ... }
+  async *selectStream(where = {}, options = {}) {
+    this._checkStreamOptions(options, 'selectStream');
+    let skipped = 0;
+    let produced = 0;
+    if (options.limit === 0) return;
+
+    for await (const row of this._scanRows(where, options)) {
+      if (options.offset && skipped < options.offset) {
+        skipped++;
+        continue;
+      }
+      yield this._shapeRow(row, options);
+      produced++;
+      if (options.limit && produced >= options.limit) return;
+    }
+  }
+
+  // One page of matching rows: { rows, nextCursor }. Pass nextCursor back
+  // as `cursor` for the next page; it is null after the last page.
+  async selectPage(where = {}, options = {}) {
+    this._checkStreamOptions(options, 'selectPage');
+    const pageSize = options.pageSize || DEFAULT_PAGE_SIZE;
+    const fromRow = options.cursor ? this._decodeCursor(options.cursor) : null;
+
+    const matched = [];
+    for await (const row of this._scanRows(where, options, fromRow)) {
+      matched.push(row);
+      // One extra row tells whether there is another page
+      if (matched.length > pageSize) break;
+    }
+
+    const next = matched.length > pageSize ? matched.pop() : null;
+    return {
+      rows: matched.map(row => this._shapeRow(row, options)),
+      nextCursor: next ? this._encodeCursor(next._row) : null,
+    };
+  }
+
+  // Cursors are opaque to callers; inside they hold the row to resume at
+  _encodeCursor(row) {
+    return Buffer.from(JSON.stringify({ row })).toString('base64url');
+  }
+
+  _decodeCursor(cursor) {
+    try {
+      const { row } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+      if (Number.isInteger(row) && row > this.headerRow) return row;
+    } catch (err) {
+      // fall through
+    }
+    throw new Error(`Invalid cursor: ${cursor}`);
+  }
+
+  // Polls the tab every `interval` ms and emits insert/update/delete events
+  // for the rows matching `where`. Returns a started Watcher (an
+  // EventEmitter and async iterator, see lib/watcher.js); call stop() on it
+  // when done.
+  //
+  //   db.watch({ status: 'open' }, { interval: 10000 }).on('update', ({ row, changes }) => { ... });
+  watch(where = {}, options = {}) {
+    return new Watcher(this, where, options).start();
+  }
+
+  _parseValue(value, isDate, caseSensitive = false) {
     if (isDate) return new Date(value).getTime();
     if (!isNaN(value)) return parseFloat(value);
-    return value.toString().toLowerCase();
+    return caseSensitive ? value.toString() : value.toString().toLowerCase();
   }
 
-  _applyFilter(data, where) {
-    return data.filter(row => {
-      return Object.entries(where).every(([key, condition]) => {
-        const rowVal = row[key] || '';
-        const isDate = key.toLowerCase().includes('date');
-
-        if (typeof condition === 'object' && condition !== null) {
-          const { op, value } = condition;
-          const a = this._parseValue(rowVal, isDate);
-          const b = this._parseValue(value, isDate);
-
-          switch (op) {
-            case '>': return a > b;
-            case '<': return a < b;
-            case '>=': return a >= b;
-            case '<=': return a <= b;
-            case '!=': return a != b;
-            case '=': return a == b;
-            case 'contains': return rowVal.toLowerCase().includes(String(value).toLowerCase());
-            default: return false;
-          }
-        } else {
-          return rowVal == condition;
+  // Declares column types for the current tab. Columns left out keep the
+  // old behaviour (numeric-looking text compares as a number, columns named
+  // "...date..." as dates).
+  defineSchema(schema) {
+    this.schemas[this.sheetName] = normalizeSchema(schema);
+    return this.schemas[this.sheetName];
+  }
+
+  _columnSpec(column) {
+    const schema = this._joinSchema || this.schemas[this.sheetName];
+    return (schema && schema[column]) || null;
+  }
+
+  // The comparable form of a value for filters and sorting: by declared
+  // type when the column has one, otherwise guessed by _parseValue.
+  _columnValue(column, value, caseSensitive = false) {
+    const spec = this._columnSpec(column);
+    if (spec) return compareValue(spec, value, caseSensitive);
+    return this._parseValue(value ?? '', column.toLowerCase().includes('date'), caseSensitive);
+  }
+
+  // Cell values for a row being written. Values from newData are validated
+  // and converted for typed columns; cells kept from `existing` are written
+  // back as read. Without `existing` (an insert) missing values fall back to
+  // the column default or an empty cell.
+  // The version column, when the table has one, is always set here: 1 for
+  // a new row, one more than before for a rewritten row. The id column gets
+  // a new UUID on insert (unless one is given) and never changes after.
+  // With the timestamps option, created_at is set on insert and updated_at
+  // on every write, unless newData gives them.
+  _toRow(headers, newData, existing = null) {
+    const now = new Date().toISOString();
+    return headers.map(h => {
+      if (h === this.versionColumn) {
+        return String(existing ? (parseInt(existing[h], 10) || 0) + 1 : 1);
+      }
+      if (h === this.idColumn) {
+        if (existing && existing[h]) return existing[h];
+        return newData[h] ? String(newData[h]) : crypto.randomUUID();
+      }
+      const spec = this._columnSpec(h);
+      const value = newData[h];
+      const stamped = h === this.updatedAtColumn || (h === this.createdAtColumn && !existing);
+      if (stamped && (value === undefined || value === null)) {
+        return spec ? serializeValue(h, spec, now) : now;
+      }
+      if (value !== undefined && value !== null) {
+        return spec ? serializeValue(h, spec, value) : value;
+      }
+      if (existing) {
+        return spec ? protectValue(spec, existing[h]) : existing[h] ?? '';
+      }
+      if (spec && spec.default !== undefined) {
+        return serializeValue(h, spec, typeof spec.default === 'function' ? spec.default() : spec.default);
+      }
+      return spec ? serializeValue(h, spec, '') : '';
+    });
+  }
+
+  // Name of the current tab's primary key column, or null
+  _primaryKey() {
+    const schema = this.schemas[this.sheetName] || {};
+    return Object.keys(schema).find(column => schema[column].primaryKey) || null;
+  }
+
+  _requirePrimaryKey(method) {
+    const primaryKey = this._primaryKey();
+    if (!primaryKey) throw new Error(`${method}() needs a uniqueKey or a primary key in the schema`);
+    return primaryKey;
+  }
+
+  // Fills generated (autoIncrement/uuid) columns that are still empty and
+  // checks primary key and unique columns, for rows built by _toRow that
+  // are about to be written. `changes` are { row, replaces } with the _row
+  // a rewritten row replaces (none for new rows). `data` is the tab as
+  // read by _getSheetData, fetched when not passed.
+  async _applyConstraints(headers, changes, data = null) {
+    const schema = this.schemas[this.sheetName] || {};
+    const columns = headers.filter(h => {
+      const spec = schema[h];
+      return spec && (spec.primaryKey || spec.unique || spec.autoIncrement || spec.uuid);
+    });
+    if (columns.length === 0 || changes.length === 0) return;
+
+    if (!data) data = await this._getSheetData();
+    const replaced = new Set(changes.map(change => change.replaces).filter(Boolean));
+    const kept = data.filter(row => !replaced.has(row._row));
+
+    columns.forEach(column => {
+      const spec = schema[column];
+      const index = headers.indexOf(column);
+
+      if (spec.autoIncrement) {
+        const numbers = [...data.map(row => row[column]), ...changes.map(change => change.row[index])]
+          .filter(value => value !== '' && value !== undefined)
+          .map(Number)
+          .filter(Number.isFinite);
+        // A loop rather than Math.max(...numbers), which overflows the stack
+        // on very long tabs
+        let next = Math.floor(numbers.reduce((max, number) => Math.max(max, number), 0)) + 1;
+        changes.forEach(change => {
+          if (change.row[index] === '') change.row[index] = String(next++);
+        });
+      }
+      if (spec.uuid) {
+        changes.forEach(change => {
+          if (change.row[index] === '') change.row[index] = crypto.randomUUID();
+        });
+      }
+      if (!spec.primaryKey && !spec.unique) return;
+
+      const kind = spec.primaryKey ? 'primary key' : 'unique column';
+      // Written cells can carry the apostrophe that keeps text as text
+      const keyOf = value => String(compareValue(spec, String(value).replace(/^'/, ''), true));
+      const seen = new Set(kept.filter(row => row[column] !== '').map(row => keyOf(row[column])));
+      changes.forEach(change => {
+        const value = change.row[index];
+        if (value === '') {
+          if (spec.primaryKey) throw new ConstraintError(`Primary key '${column}' can't be empty`, column, value);
+          return;
+        }
+        const key = keyOf(value);
+        if (seen.has(key)) {
+          throw new ConstraintError(`Duplicate value for ${kind} '${column}': ${String(value).replace(/^'/, '')}`, column, value);
         }
+        seen.add(key);
+      });
+    });
+  }
+
+  // True when every column of a row read by _getSheetData is blank
+  _isEmptyRow(row) {
+    return Object.keys(row).every(key => key === '_row' || row[key] === '');
+  }
+
+  // Converts the cells of typed columns into numbers, booleans, Dates and
+  // parsed JSON for select() results.
+  _castRows(data) {
+    const schema = this._joinSchema || this.schemas[this.sheetName];
+    if (!schema) return data;
+    return data.map(row => {
+      const typed = { ...row };
+      Object.keys(typed).forEach(key => {
+        if (schema[key]) typed[key] = castValue(schema[key], typed[key]);
       });
+      return typed;
     });
   }
 
+  _applyFilter(data, where) {
+    return data.filter(row => this._matchesWhere(row, where));
+  }
+
+  // With the softDelete option, leaves out rows whose deleted_at is set.
+  // options.withDeleted keeps them, options.onlyDeleted keeps only them.
+  _visibleRows(data, { withDeleted = false, onlyDeleted = false } = {}) {
+    const column = this.deletedAtColumn;
+    if (!column) {
+      if (onlyDeleted) throw new Error('onlyDeleted needs the softDelete option');
+      return data;
+    }
+    if (withDeleted) return data;
+    return data.filter(row => (String(row[column] ?? '').trim() !== '') === onlyDeleted);
+  }
+
+  // A where object ANDs its keys together. `$and`/`$or` take arrays of where
+  // objects and `$not` takes a single one, so groups can be nested.
+  _matchesWhere(row, where) {
+    return Object.entries(where).every(([key, condition]) => {
+      if (key === '$and' || key === '$or') {
+        if (!Array.isArray(condition)) throw new Error(`${key} must be an array of where objects`);
+        return key === '$and'
+          ? condition.every(sub => this._matchesWhere(row, sub))
+          : condition.some(sub => this._matchesWhere(row, sub));
+      }
+      if (key === '$not') return !this._matchesWhere(row, condition);
+
+      const rowVal = row[key] ?? '';
+      if (typeof condition === 'object' && condition !== null && !(condition instanceof Date)) {
+        return this._matchesCondition(key, rowVal, condition);
+      }
+      // Typed columns compare by value (so { active: true } matches "TRUE");
+      // others keep the exact-match comparison
+      if (this._columnSpec(key)) {
+        const isBlank = v => v === null || v === undefined || v === '';
+        if (isBlank(rowVal) || isBlank(condition)) return isBlank(rowVal) && isBlank(condition);
+        return this._columnValue(key, rowVal, true) === this._columnValue(key, condition, true);
+      }
+      return rowVal == condition;
+    });
+  }
+
+  // Evaluates a single `{ op, value, caseSensitive }` condition against a cell.
+  // String comparisons ignore case unless `caseSensitive: true` is set.
+  _matchesCondition(key, rowVal, { op, value, caseSensitive = false }) {
+    const parse = v => this._columnValue(key, v, caseSensitive);
+    const text = v => (caseSensitive ? String(v) : String(v).toLowerCase());
+    const a = parse(rowVal);
+
+    switch (op) {
+      case '>': return a > parse(value);
+      case '<': return a < parse(value);
+      case '>=': return a >= parse(value);
+      case '<=': return a <= parse(value);
+      case '!=': return a != parse(value);
+      case '=': return a == parse(value);
+      case 'contains': return text(rowVal).includes(text(value));
+      case 'startsWith': return text(rowVal).startsWith(text(value));
+      case 'endsWith': return text(rowVal).endsWith(text(value));
+      case 'like': return likeToRegExp(value, caseSensitive).test(rowVal);
+      case 'notLike': return !likeToRegExp(value, caseSensitive).test(rowVal);
+      case 'regex': {
+        const regex = value instanceof RegExp ? value : new RegExp(value, caseSensitive ? '' : 'i');
+        regex.lastIndex = 0;
+        return regex.test(rowVal);
+      }
+      case 'in':
+      case 'notIn': {
+        if (!Array.isArray(value)) throw new Error(`'${op}' filter on '${key}' needs an array value`);
+        const found = value.some(v => a == parse(v));
+        return op === 'in' ? found : !found;
+      }
+      case 'between': {
+        if (!Array.isArray(value) || value.length !== 2) {
+          throw new Error(`'between' filter on '${key}' needs a [min, max] value`);
+        }
+        return a >= parse(value[0]) && a <= parse(value[1]);
+      }
+      case 'isEmpty': return String(rowVal).trim() === '';
+      case 'isNotEmpty': return String(rowVal).trim() !== '';
+      default: return false;
+    }
+  }
+
+  // Plain `{ column: value }` equalities from a where object, used to fill in
+  // the row that updateOrInsert() creates when nothing matches.
+  _whereToRowData(where) {
+    const data = {};
+    Object.entries(where).forEach(([key, condition]) => {
+      if (key === '$and') {
+        condition.forEach(sub => Object.assign(data, this._whereToRowData(sub)));
+      } else if (key === '$or' || key === '$not') {
+        // Alternatives and negations don't pin down a value
+      } else if (typeof condition !== 'object' || condition === null) {
+        data[key] = condition;
+      } else if (condition.op === '=') {
+        data[key] = condition.value;
+      }
+    });
+    return data;
+  }
+
   _applySorting(data, orderBy = []) {
     return data.sort((a, b) => {
       for (let { column, direction } of orderBy) {
-        const isDate = column.toLowerCase().includes('date');
-        const valA = this._parseValue(a[column], isDate);
-        const valB = this._parseValue(b[column], isDate);
+        const valA = this._columnValue(column, a[column]);
+        const valB = this._columnValue(column, b[column]);
         if (valA < valB) return direction === 'desc' ? 1 : -1;
         if (valA > valB) return direction === 'desc' ? -1 : 1;
       }
@@ -99,11 +658,225 @@ class GoogleSheetDB {
     });
   }
 
+  // Collapses rows into one row per distinct combination of `groupBy` values,
+  // each holding the group columns plus the requested aggregates. Without
+  // `groupBy` all rows form a single group.
+  _applyAggregates(data, { groupBy = [], aggregates = [] }) {
+    const groupColumns = Array.isArray(groupBy) ? groupBy : [groupBy];
+    const groups = new Map();
+
+    for (const row of data) {
+      const key = JSON.stringify(groupColumns.map(col => row[col] ?? ''));
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(row);
+    }
+    if (groupColumns.length === 0 && groups.size === 0) groups.set('[]', []);
+
+    return [...groups.values()].map(rows => {
+      const result = {};
+      groupColumns.forEach(col => { result[col] = rows[0][col] ?? ''; });
+      aggregates.forEach(agg => {
+        result[this._aggregateName(agg)] = this._aggregate(rows, agg);
+      });
+      return result;
+    });
+  }
+
+  _aggregateName({ fn, column = '*', distinct = false, as }) {
+    if (as) return as;
+    if (column === '*') return fn.toLowerCase();
+    return `${fn.toLowerCase()}_${distinct ? 'distinct_' : ''}${column}`;
+  }
+
+  // Computes COUNT/SUM/AVG/MIN/MAX over one column of a group. Values are
+  // coerced like filters coerce them (declared type, or _parseValue), so
+  // numeric cells add up as numbers and dates compare chronologically.
+  // Empty cells are ignored, like SQL NULLs.
+  _aggregate(rows, { fn, column = '*', distinct = false }) {
+    const name = String(fn).toLowerCase();
+    if (name === 'count' && column === '*') return rows.length;
+
+    const spec = this._columnSpec(column);
+    const isDate = column.toLowerCase().includes('date');
+    let cells = rows
+      .map(row => row[column] ?? '')
+      .filter(raw => String(raw).trim() !== '')
+      .map(raw => ({ raw, value: this._columnValue(column, raw) }));
+
+    if (distinct) {
+      const seen = new Set();
+      cells = cells.filter(({ value }) => !seen.has(value) && seen.add(value));
+    }
+
+    switch (name) {
+      case 'count':
+        return cells.length;
+      case 'sum':
+      case 'avg': {
+        const numbers = cells.map(({ value }) => value).filter(v => typeof v === 'number' && !isNaN(v));
+        if (numbers.length === 0) return null;
+        const sum = numbers.reduce((total, v) => total + v, 0);
+        return name === 'sum' ? sum : sum / numbers.length;
+      }
+      case 'min':
+      case 'max': {
+        if (cells.length === 0) return null;
+        const best = cells.reduce((acc, cell) => {
+          if (name === 'min' ? cell.value < acc.value : cell.value > acc.value) return cell;
+          return acc;
+        });
+        if (spec) return castValue(spec, best.raw);
+        // Numbers come back as numbers; dates and text keep the cell's own value
+        return typeof best.value === 'number' && !isDate ? best.value : best.raw;
+      }
+      default:
+        throw new Error(`Unsupported aggregate function '${fn}'`);
+    }
+  }
+
+  // Every column a where object reads, including inside $and/$or/$not groups
+  _whereColumns(where) {
+    const columns = new Set();
+    Object.entries(where).forEach(([key, condition]) => {
+      if (key === '$and' || key === '$or') {
+        condition.forEach(sub => this._whereColumns(sub).forEach(col => columns.add(col)));
+      } else if (key === '$not') {
+        this._whereColumns(condition).forEach(col => columns.add(col));
+      } else {
+        columns.add(key);
+      }
+    });
+    return [...columns];
+  }
+
+  // Runs a compiled `SELECT ... JOIN` across tabs. Joined rows carry every
+  // column as `alias.column`, and also as plain `column` when no other
+  // joined table has a column of that name. Rows are matched with a hash
+  // lookup on the ON columns; LEFT JOIN keeps unmatched rows with empty cells.
+  async _selectJoin({ from, joins, where = {}, options = {} }) {
+    const sources = [from, ...joins];
+    const headersByAlias = {};
+    const rowsByAlias = {};
+    for (const { table, alias } of sources) {
+      const db = this._withTable(table);
+      const rows = await db._getSheetData();
+      headersByAlias[alias] = rows.length ? Object.keys(rows[0]).filter(h => h !== '_row') : await db._getHeaders();
+      // Soft-deleted rows are left out table by table, before joining
+      rowsByAlias[alias] = db._visibleRows(rows, options);
+    }
+
+    const owners = {};
+    Object.entries(headersByAlias).forEach(([alias, headers]) => {
+      headers.forEach(h => { (owners[h] = owners[h] || []).push(alias); });
+    });
+    const prefix = (alias, row) => {
+      const obj = {};
+      headersByAlias[alias].forEach(h => {
+        const value = row ? row[h] ?? '' : '';
+        obj[`${alias}.${h}`] = value;
+        if (owners[h].length === 1) obj[h] = value;
+      });
+      return obj;
+    };
+
+    // Plain column names must point at exactly one table
+    const referenced = [
+      ...this._whereColumns(where),
+      ...(options.orderBy || []).map(o => o.column),
+      ...[].concat(options.groupBy || []),
+      ...(options.aggregates || []).map(agg => agg.column || '*'),
+      ...(options.selectFields || []),
+    ];
+    referenced.forEach(col => {
+      if (owners[col] && owners[col].length > 1) {
+        throw new Error(`Column '${col}' is ambiguous; qualify it with a table name or alias (${owners[col].map(a => `${a}.${col}`).join(', ')})`);
+      }
+    });
+
+    let data = rowsByAlias[from.alias].map(row => prefix(from.alias, row));
+    for (const join of joins) {
+      const key = (row, cols) => JSON.stringify(cols.map(col => String(row[col] ?? '')));
+      const rightRows = rowsByAlias[join.alias].map(row => prefix(join.alias, row));
+      const index = new Map();
+      rightRows.forEach(row => {
+        const k = key(row, join.on.map(([, right]) => right));
+        if (!index.has(k)) index.set(k, []);
+        index.get(k).push(row);
+      });
+
+      const joined = [];
+      for (const left of data) {
+        const matches = index.get(key(left, join.on.map(([l]) => l))) || [];
+        if (matches.length) {
+          matches.forEach(right => joined.push({ ...left, ...right }));
+        } else if (join.kind === 'left') {
+          joined.push({ ...left, ...prefix(join.alias, null) });
+        }
+      }
+      data = joined;
+    }
+
+    // `*` and `alias.*` list each column once: plain name where unique,
+    // `alias.column` where several tables share it
+    const display = alias => headersByAlias[alias].map(h => (owners[h].length === 1 ? h : `${alias}.${h}`));
+    const selectFields = options.selectFields || ['*'];
+    const fields = selectFields.flatMap(field => {
+      if (field === '*') return sources.flatMap(src => display(src.alias));
+      if (field.endsWith('.*')) return display(field.slice(0, -2));
+      return [field];
+    });
+
+    // Declared types of the joined tabs, under the same keys as the joined rows
+    const joinSchema = {};
+    sources.forEach(({ table, alias }) => {
+      const schema = this.schemas[table] || {};
+      Object.entries(schema).forEach(([col, spec]) => {
+        joinSchema[`${alias}.${col}`] = spec;
+        if (owners[col] && owners[col].length === 1) joinSchema[col] = spec;
+      });
+    });
+    const view = Object.create(this);
+    view._joinSchema = joinSchema;
+    view.deletedAtColumn = null;
+
+    return view._castRows(view._applyQuery(data, where, { ...options, selectFields: fields }));
+  }
+
+  _applyDistinct(data) {
+    const seen = new Set();
+    return data.filter(row => {
+      const { _row, ...values } = row;
+      const key = JSON.stringify(values);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
   async createTable(columns = []) {
     if (!columns || !Array.isArray(columns) || columns.length === 0) {
       throw new Error('You must pass an array of column names');
     }
 
+    // Columns are names, or { name, type, required, default, primaryKey, ... }
+    // definitions that also declare the schema (see defineSchema)
+    const headers = columns.map(col => (typeof col === 'string' ? col : col && col.name));
+    if (headers.some(name => !name)) {
+      throw new Error('Every column needs a name');
+    }
+    [this.createdAtColumn, this.updatedAtColumn, this.deletedAtColumn, this.versionColumn].forEach(column => {
+      if (column && !headers.includes(column)) headers.push(column);
+    });
+    if (this.idColumn && !headers.includes(this.idColumn)) {
+      headers.push(this.idColumn);
+    }
+    const typed = columns.filter(col => typeof col === 'object' && Object.keys(col).length > 1);
+    if (typed.length) {
+      const schema = {};
+      typed.forEach(({ name, ...spec }) => { schema[name] = spec; });
+      this.defineSchema(schema);
+    }
+
     try {
       // Check if sheet already exists
       const metadata = await this.sheets.spreadsheets.get({
@@ -135,20 +908,25 @@ class GoogleSheetDB {
         console.log(`Sheet "${this.sheetName}" already exists.`);
       }
 
-      // Write headers to row 1
+      // Write headers to the header row
       await this.sheets.spreadsheets.values.update({
         spreadsheetId: this.sheetId,
-        range: `${this.sheetName}!A1`,
+        range: this._rowRange(this.headerRow, headers.length),
         valueInputOption: 'USER_ENTERED',
         resource: {
-          values: [columns],
+          values: [headers],
         },
       });
 
+      // The id column is managed by the library, so keep it out of sight
+      if (this.idColumn) {
+        await this._hideColumn(this.startColumn + headers.indexOf(this.idColumn));
+      }
+
       return {
         success: true,
         message: 'Table created with headers.',
-        columns,
+        columns: headers,
       };
     } catch (err) {
       console.error('Error in createTable():', err.message);
@@ -156,25 +934,337 @@ class GoogleSheetDB {
     }
   }
 
+  // ---- schema changes ----
+  // Columns are added, dropped and moved with insertDimension/
+  // deleteDimension/moveDimension, so the cells below the header move with
+  // it. Like inserting rows, this shifts whole columns of the tab, including
+  // anything beside or below the table.
+
+  // Table position for a { first: true } or { after: column } placement;
+  // the end of the table without either
+  _placementIndex(headers, { first, after } = {}) {
+    if (first) return 0;
+    if (after === undefined || after === null) return headers.length;
+    const index = headers.indexOf(after);
+    if (index === -1) throw new Error(`Column '${after}' not found`);
+    return index + 1;
+  }
+
+  // A1 range over one table column (0-based position in the table) from row
+  // `firstRow` to `lastRow`
+  _columnRange(index, firstRow, lastRow = firstRow) {
+    const column = this.startColumn + index;
+    return formatRange(this.sheetName, firstRow - 1, column, lastRow - 1, column);
+  }
+
+  // Adds a column, by name or as a { name, type, default, ... } definition
+  // (see createTable), at the end of the table or where `placement` says.
+  // Existing rows get the column default, or a generated value for
+  // autoIncrement/uuid columns.
+  async addColumn(column, placement = {}) {
+    const previousSchema = this.schemas[this.sheetName];
+    try {
+      const name = typeof column === 'string' ? column : column && column.name;
+      if (!name) throw new Error('The new column needs a name');
+
+      const headers = await this._getHeaders();
+      if (headers.includes(name)) throw new Error(`Column '${name}' already exists`);
+      const index = this._placementIndex(headers, placement);
+
+      if (typeof column === 'object' && Object.keys(column).length > 1) {
+        const { name: _name, ...spec } = column;
+        this.defineSchema({ ...(previousSchema || {}), [name]: spec });
+      }
+
+      // Values for the rows already there, checked like any other write
+      const data = await this._getSheetData();
+      const filled = data.filter(row => !this._isEmptyRow(row));
+      const changes = filled.map(() => ({ row: this._toRow([name], {}) }));
+      await this._applyConstraints([name], changes, []);
+
+      const properties = await this._getSheetProperties();
+      const at = this.startColumn + index;
+      const request = at < properties.gridProperties.columnCount
+        ? {
+          insertDimension: {
+            range: { sheetId: properties.sheetId, dimension: 'COLUMNS', startIndex: at, endIndex: at + 1 },
+            inheritFromBefore: at > 0,
+          },
+        }
+        : { appendDimension: { sheetId: properties.sheetId, dimension: 'COLUMNS', length: 1 } };
+      await this.sheets.spreadsheets.batchUpdate({
+        spreadsheetId: this.sheetId,
+        requestBody: { requests: [request] },
+      });
+
+      const cells = new Map(filled.map((row, i) => [row._row, changes[i].row[0]]));
+      const lastRow = data.length ? data[data.length - 1]._row : this.headerRow;
+      const values = [[name]];
+      for (let row = this.headerRow + 1; row <= lastRow; row++) values.push([cells.get(row) ?? '']);
+      await this.sheets.spreadsheets.values.update({
+        spreadsheetId: this.sheetId,
+        range: this._columnRange(index, this.headerRow, lastRow),
+        valueInputOption: 'USER_ENTERED',
+        resource: { values },
+      });
+
+      if (name === this.idColumn) await this._hideColumn(at);
+
+      headers.splice(index, 0, name);
+      return { success: true, columns: headers };
+    } catch (err) {
+      if (previousSchema) {
+        this.schemas[this.sheetName] = previousSchema;
+      } else {
+        delete this.schemas[this.sheetName];
+      }
+      return { success: false, error: err.message };
+    }
+  }
+
+  // Renames a column in the header row (and in the schema, when it has one)
+  async renameColumn(from, to) {
+    try {
+      if (!to) throw new Error('The column needs a new name');
+      const headers = await this._getHeaders();
+      const index = headers.indexOf(from);
+      if (index === -1) throw new Error(`Column '${from}' not found`);
+      if (headers.includes(to)) throw new Error(`Column '${to}' already exists`);
+
+      await this.sheets.spreadsheets.values.update({
+        spreadsheetId: this.sheetId,
+        range: this._columnRange(index, this.headerRow),
+        valueInputOption: 'USER_ENTERED',
+        resource: { values: [[to]] },
+      });
+
+      const schema = this.schemas[this.sheetName];
+      if (schema && schema[from]) {
+        const renamed = {};
+        Object.keys(schema).forEach(key => { renamed[key === from ? to : key] = schema[key]; });
+        this.schemas[this.sheetName] = renamed;
+      }
+
+      headers[index] = to;
+      return { success: true, columns: headers };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  }
+
+  // Removes a column and all its cells
+  async dropColumn(name) {
+    try {
+      const headers = await this._getHeaders();
+      const index = headers.indexOf(name);
+      if (index === -1) throw new Error(`Column '${name}' not found`);
+
+      const sheetTabId = await this._getSheetTabId();
+      const snapshotId = await this._autoSnapshot('dropColumn');
+      await this.sheets.spreadsheets.batchUpdate({
+        spreadsheetId: this.sheetId,
+        requestBody: {
+          requests: [
+            {
+              deleteDimension: {
+                range: {
+                  sheetId: sheetTabId,
+                  dimension: 'COLUMNS',
+                  startIndex: this.startColumn + index,
+                  endIndex: this.startColumn + index + 1,
+                },
+              },
+            },
+          ],
+        },
+      });
+
+      const schema = this.schemas[this.sheetName];
+      if (schema) delete schema[name];
+
+      headers.splice(index, 1);
+      const result = { success: true, columns: headers };
+      if (snapshotId) result.snapshotId = snapshotId;
+      return result;
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  }
+
+  // Puts the listed columns first, in that order; the others follow in
+  // their current order. Sent as one batchUpdate of moveDimension requests.
+  async reorderColumns(order = []) {
+    try {
+      const headers = await this._getHeaders();
+      const missing = order.filter(name => !headers.includes(name));
+      if (missing.length) throw new Error(`Column '${missing[0]}' not found`);
+      if (new Set(order).size !== order.length) throw new Error('Each column can only be listed once');
+
+      const target = [...order, ...headers.filter(name => !order.includes(name))];
+      const current = [...headers];
+      const requests = [];
+      target.forEach((name, i) => {
+        const from = current.indexOf(name);
+        if (from === i) return;
+        // Everything left of i is already in place, so columns only move left
+        requests.push({
+          moveDimension: {
+            source: {
+              dimension: 'COLUMNS',
+              startIndex: this.startColumn + from,
+              endIndex: this.startColumn + from + 1,
+            },
+            destinationIndex: this.startColumn + i,
+          },
+        });
+        current.splice(from, 1);
+        current.splice(i, 0, name);
+      });
+
+      if (requests.length) {
+        const sheetTabId = await this._getSheetTabId();
+        requests.forEach(request => { request.moveDimension.source.sheetId = sheetTabId; });
+        await this.sheets.spreadsheets.batchUpdate({
+          spreadsheetId: this.sheetId,
+          requestBody: { requests },
+        });
+      }
+
+      return { success: true, columns: target };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  }
+
+  // Moves one column to { first: true } or { after: column }
+  async moveColumn(name, placement = {}) {
+    try {
+      const headers = await this._getHeaders();
+      if (!headers.includes(name)) throw new Error(`Column '${name}' not found`);
+      const others = headers.filter(header => header !== name);
+      others.splice(this._placementIndex(others, placement), 0, name);
+      return await this.reorderColumns(others);
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  }
+
+  // A chainable query on tab `name` (this tab when left out), see
+  // lib/queryBuilder.js
+  table(name = null) {
+    return new QueryBuilder(this._withTable(name));
+  }
+
   async select(where = {}, options = {}) {
-    let data = await this._getSheetData();
-    data = this._applyFilter(data, where);
+    const columns = this._projectedColumns(where, options);
+    const data = columns ? await this._getColumnsData(columns) : await this._getSheetData();
+    return this._castRows(this._applyQuery(data, where, options));
+  }
 
+  // Columns a select() has to read when it projects with selectFields: the
+  // projection plus whatever the filter and sort look at. null means every
+  // column (no projection, or grouping/aggregates/skipEmpty, which look at
+  // whole rows).
+  _projectedColumns(where, options) {
+    if (!options.selectFields || options.groupBy || options.aggregates || options.skipEmpty) return null;
+    return [...new Set([
+      ...options.selectFields,
+      ...this._whereColumns(where),
+      ...(options.orderBy || []).map(o => o.column),
+      ...(this.deletedAtColumn ? [this.deletedAtColumn] : []),
+    ])];
+  }
+
+  // Like _getSheetData, but only fetches `columns`, with one values.batchGet
+  // range per run of adjacent columns. Rows carry just those columns. Rows
+  // at the end of the table can be blank in all of them, so a second read
+  // over the whole width looks below the last row found.
+  async _getColumnsData(columns) {
+    const headers = await this._getHeaders();
+    const indexes = headers
+      .map((header, index) => (columns.includes(header) ? index : -1))
+      .filter(index => index !== -1);
+    if (indexes.length === 0 || indexes.length === headers.length) return this._getSheetData();
+
+    const blocks = [];
+    indexes.forEach(index => {
+      const last = blocks[blocks.length - 1];
+      if (last && last.last === index - 1) {
+        last.last = index;
+      } else {
+        blocks.push({ first: index, last: index });
+      }
+    });
+
+    const res = await this.sheets.spreadsheets.values.batchGet({
+      spreadsheetId: this.sheetId,
+      ranges: blocks.map(({ first, last }) => formatRange(
+        this.sheetName,
+        this.headerRow,
+        this.startColumn + first,
+        null,
+        this.startColumn + last
+      )),
+    });
+
+    const valueRanges = res.data.valueRanges || [];
+    let rowCount = valueRanges.reduce((count, range) => Math.max(count, (range.values || []).length), 0);
+    const below = await this.sheets.spreadsheets.values.get({
+      spreadsheetId: this.sheetId,
+      range: formatRange(
+        this.sheetName,
+        this.headerRow + rowCount,
+        this.startColumn,
+        null,
+        this.startColumn + headers.length - 1
+      ),
+    });
+    rowCount += (below.data.values || []).length;
+    const data = [];
+    for (let i = 0; i < rowCount; i++) {
+      const obj = {};
+      blocks.forEach(({ first, last }, b) => {
+        const cells = ((valueRanges[b] && valueRanges[b].values) || [])[i] || [];
+        for (let index = first; index <= last; index++) {
+          obj[headers[index]] = cells[index - first] || '';
+        }
+      });
+      obj._row = this.headerRow + 1 + i;
+      data.push(obj);
+    }
+    return data;
+  }
+
+  // Filtering, grouping, sorting, projection and paging shared by select()
+  // and joins.
+  _applyQuery(data, where = {}, options = {}) {
+    if (options.skipEmpty) data = data.filter(row => !this._isEmptyRow(row));
+    data = this._applyFilter(this._visibleRows(data, options), where);
+
+    if (options.groupBy || options.aggregates) {
+      data = this._applyAggregates(data, options);
+      if (options.having) data = this._applyFilter(data, options.having);
+    }
     if (options.orderBy) data = this._applySorting(data, options.orderBy);
+    if (options.selectFields) data = this._applySelectFields(data, options.selectFields);
+    if (options.distinct) data = this._applyDistinct(data);
     if (options.offset) data = data.slice(options.offset);
     if (options.limit) data = data.slice(0, options.limit);
-    if (options.selectFields) data = this._applySelectFields(data, options.selectFields);
 
     return data;
   }
 
   async insertOne(rowObj) {
+    const hooked = await this._beforeWrite('Insert', { operation: 'insertOne', data: rowObj });
+    if (hooked.cancelled) return this._cancelled(hooked);
+    rowObj = hooked.data;
+
     const headers = await this._getHeaders();
-    const row = headers.map(h => rowObj[h] || '');
+    const row = this._toRow(headers, rowObj);
+    await this._applyConstraints(headers, [{ row }]);
     
-    // Restrict the range to only the columns in your header (e.g., A to last header column)
-    const lastColLetter = String.fromCharCode(65 + headers.length - 1); // e.g., 'C' for 3 headers
-    const range = `${this.sheetName}!A:${lastColLetter}`;
+    // Restrict the range to only the columns in your header, from the header row down
+    const range = this._rowRange(this.headerRow, headers.length, null);
     
     const res = await this.sheets.spreadsheets.values.append({
       spreadsheetId: this.sheetId,
@@ -183,26 +1273,36 @@ class GoogleSheetDB {
       resource: { values: [row] },
     });
   
-    return {
+    const result = {
       success: true,
       updatedRange: res.data.updates.updatedRange,
       insertedData: rowObj,
     };
+    if (headers.includes(this.idColumn)) result.insertedId = row[headers.indexOf(this.idColumn)];
+    const primaryKey = this._primaryKey();
+    if (headers.includes(primaryKey)) result.insertedKey = row[headers.indexOf(primaryKey)];
+    return this._afterWrite('Insert', hooked, result);
   }
   
   async insertMany(data) {
+    const hooked = await this._beforeWrite('Insert', {
+      operation: 'insertMany',
+      data: Array.isArray(data) ? data : [data],
+    });
+    if (hooked.cancelled) return this._cancelled(hooked);
+
     const headers = await this._getHeaders();
     const rows = [];
   
-    const dataArray = Array.isArray(data) ? data : [data];
+    const dataArray = [].concat(hooked.data);
   
     for (const rowObj of dataArray) {
-      const row = headers.map(h => rowObj[h] || '');
+      const row = this._toRow(headers, rowObj);
       rows.push(row);
     }
+    await this._applyConstraints(headers, rows.map(row => ({ row })));
   
-    const lastColLetter = String.fromCharCode(65 + headers.length - 1);
-    const range = `${this.sheetName}!A:${lastColLetter}`;
+    const range = this._rowRange(this.headerRow, headers.length, null);
     
     const res = await this.sheets.spreadsheets.values.append({
       spreadsheetId: this.sheetId,
@@ -211,53 +1311,249 @@ class GoogleSheetDB {
       resource: { values: rows },
     });
   
-    return {
+    const result = {
       success: true,
       insertedCount: rows.length,
       updatedRange: res.data.updates.updatedRange,
       insertedData: dataArray,
     };
+    if (headers.includes(this.idColumn)) {
+      result.insertedIds = rows.map(row => row[headers.indexOf(this.idColumn)]);
+    }
+    const primaryKey = this._primaryKey();
+    if (headers.includes(primaryKey)) {
+      result.insertedKeys = rows.map(row => row[headers.indexOf(primaryKey)]);
+    }
+    return this._afterWrite('Insert', hooked, result);
   }
 
 
-  async update(where, newData) {
-    const data = await this._getSheetData();
+  // With { expectedVersion } nothing is written unless every matching row
+  // is still at that version (see the versionColumn option). Soft-deleted
+  // rows are left alone unless options.withDeleted/onlyDeleted say otherwise.
+  async update(where, newData, options = {}) {
+    const hooked = await this._beforeWrite('Update', { operation: 'update', where, data: newData, options });
+    if (hooked.cancelled) return this._cancelled(hooked);
+    return this._afterWrite('Update', hooked, await this._updateRows(hooked.where, hooked.data, options));
+  }
+
+  async _updateRows(where, newData, options) {
+    const data = await this._getCurrentData(options);
     const headers = Object.keys(data[0] || {}).filter(h => h !== '_row');
 
-    const matching = this._applyFilter(data, where);
+    const matching = this._applyFilter(this._visibleRows(data, options), where);
+    this._checkVersions(matching, options.expectedVersion);
     const updated = [];
+    const ranges = [];
+    const changes = [];
 
     for (const row of matching) {
-      const updatedRow = headers.map(h => newData[h] ?? row[h]);
-      const range = `${this.sheetName}!A${row._row}:${String.fromCharCode(65 + headers.length - 1)}${row._row}`;
-
-      await this.sheets.spreadsheets.values.update({
-        spreadsheetId: this.sheetId,
-        range,
-        valueInputOption: 'USER_ENTERED',
-        resource: { values: [updatedRow] },
-      });
+      const updatedRow = this._toRow(headers, newData, row);
+      const range = this._rowRange(row._row, headers.length);
 
+      ranges.push({ range, values: [updatedRow] });
       updated.push({ row: row._row, newData: updatedRow });
+      changes.push({ row: updatedRow, replaces: row._row });
     }
 
-    return {
+    await this._applyConstraints(headers, changes, data);
+
+    const snapshotId = this._isEmptyWhere(where) ? await this._autoSnapshot('update') : null;
+    await this._batchUpdateValues(ranges);
+
+    const result = {
       success: true,
       updatedCount: updated.length,
       updatedRows: updated,
     };
+    if (snapshotId) result.snapshotId = snapshotId;
+    return result;
+  }
+
+
+  // Sheet data for update()/delete(). A compare-and-set write skips the
+  // cache so versions are checked against what is in the sheet now.
+  async _getCurrentData(options) {
+    if (options.expectedVersion !== undefined && this.cache) {
+      this.cache.invalidate(this.sheetId, this.sheetName);
+    }
+    return this._getSheetData();
+  }
+
+  // Throws a ConflictError when a row's version isn't `expectedVersion`
+  _checkVersions(rows, expectedVersion) {
+    if (expectedVersion === undefined) return;
+    if (!this.versionColumn) {
+      throw new Error('expectedVersion needs the versionColumn option');
+    }
+    for (const row of rows) {
+      if (!(this.versionColumn in row)) {
+        throw new Error(`Table "${this.sheetName}" has no "${this.versionColumn}" column`);
+      }
+      const actual = parseInt(row[this.versionColumn], 10) || 0;
+      if (actual !== Number(expectedVersion)) {
+        throw new ConflictError(
+          `Row ${row._row} is at version ${actual}, expected ${expectedVersion}`,
+          row._row,
+          expectedVersion,
+          actual
+        );
+      }
+    }
+  }
+
+  _idWhere(id, method) {
+    if (!this.idColumn) throw new Error(`${method}() needs the idColumn option`);
+    return { [this.idColumn]: String(id) };
+  }
+
+  // The row with this id wherever it is now, or null
+  async findById(id) {
+    const rows = await this.select(this._idWhere(id, 'findById'));
+    return rows[0] || null;
+  }
+
+  // update()/delete() of the row with this id. Its position is looked up
+  // right before writing, so rows inserted or removed since it was read
+  // don't matter.
+  async updateById(id, newData, options = {}) {
+    return this.update(this._idWhere(id, 'updateById'), newData, options);
+  }
+
+  async deleteById(id, options = {}) {
+    return this.delete(this._idWhere(id, 'deleteById'), options);
+  }
+
+  // Runs `mutation(db)` again when it throws a ConflictError, up to
+  // `retries` more times. The mutation should read the rows it changes
+  // itself, so every attempt starts from fresh data.
+  async withRetry(mutation, { retries = 3 } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await mutation(this);
+      } catch (err) {
+        if (!(err instanceof ConflictError) || attempt >= retries) throw err;
+        this.refresh();
+      }
+    }
+  }
+
+  // Writes many { range, values } blocks with values.batchUpdate, at most
+  // BATCH_SIZE ranges per request
+  async _batchUpdateValues(data) {
+    for (let i = 0; i < data.length; i += BATCH_SIZE) {
+      await this.sheets.spreadsheets.values.batchUpdate({
+        spreadsheetId: this.sheetId,
+        requestBody: {
+          valueInputOption: 'USER_ENTERED',
+          data: data.slice(i, i + BATCH_SIZE),
+        },
+      });
+    }
+  }
+
+  // Clears many ranges with values.batchClear, chunked like _batchUpdateValues
+  async _batchClear(ranges) {
+    for (let i = 0; i < ranges.length; i += BATCH_SIZE) {
+      await this.sheets.spreadsheets.values.batchClear({
+        spreadsheetId: this.sheetId,
+        requestBody: { ranges: ranges.slice(i, i + BATCH_SIZE) },
+      });
+    }
+  }
+
+  // Sheet-level id of the current tab, needed by batchUpdate requests
+  async _getSheetTabId() {
+    const properties = await this._getSheetProperties();
+    return properties.sheetId;
+  }
+
+  // The current tab's properties from the spreadsheet metadata (sheetId,
+  // title, gridProperties, ...)
+  async _getSheetProperties() {
+    const metadata = await this.sheets.spreadsheets.get({ spreadsheetId: this.sheetId });
+    const sheetInfo = metadata.data.sheets.find(
+      sheet => sheet.properties.title === this.sheetName
+    );
+    if (!sheetInfo) throw new Error(`Sheet ${this.sheetName} not found`);
+    return sheetInfo.properties;
+  }
+
+  async _hideColumn(columnIndex) {
+    const sheetTabId = await this._getSheetTabId();
+    await this.sheets.spreadsheets.batchUpdate({
+      spreadsheetId: this.sheetId,
+      requestBody: {
+        requests: [
+          {
+            updateDimensionProperties: {
+              range: {
+                sheetId: sheetTabId,
+                dimension: 'COLUMNS',
+                startIndex: columnIndex,
+                endIndex: columnIndex + 1,
+              },
+              properties: { hiddenByUser: true },
+              fields: 'hiddenByUser',
+            },
+          },
+        ],
+      },
+    });
   }
 
+  // Deletes the given 1-based rows of the table's `width` columns with
+  // deleteRange, so the cells below move up but a table next to this one
+  // keeps its rows. Adjacent rows are merged into one request, and requests
+  // go bottom-up so the row numbers of the ones still to come don't shift.
+  async _removeRows(rowNumbers, width) {
+    if (rowNumbers.length === 0) return;
+    const sheetTabId = await this._getSheetTabId();
+
+    const sorted = [...new Set(rowNumbers)].sort((a, b) => b - a);
+    const blocks = [];
+    for (const row of sorted) {
+      const last = blocks[blocks.length - 1];
+      if (last && last.start === row + 1) {
+        last.start = row;
+      } else {
+        blocks.push({ start: row, end: row + 1 });
+      }
+    }
+
+    const requests = blocks.map(({ start, end }) => ({
+      deleteRange: {
+        range: {
+          sheetId: sheetTabId,
+          startRowIndex: start - 1,
+          endRowIndex: end - 1,
+          startColumnIndex: this.startColumn,
+          endColumnIndex: this.startColumn + width,
+        },
+        shiftDimension: 'ROWS',
+      },
+    }));
+
+    for (let i = 0; i < requests.length; i += BATCH_SIZE) {
+      await this.sheets.spreadsheets.batchUpdate({
+        spreadsheetId: this.sheetId,
+        requestBody: { requests: requests.slice(i, i + BATCH_SIZE) },
+      });
+    }
+  }
 
   async updateOrInsert(where, newData) {
-    // Check if any row matches the where condition
-    const existingRows = await this.select(where);
+    // beforeUpdate runs first so the rows are looked up with the where its
+    // hooks leave behind
+    const hooked = await this._beforeWrite('Update', { operation: 'updateOrInsert', where, data: newData, options: {} });
+    if (hooked.cancelled) return this._cancelled(hooked);
+    const existingRows = await this.select(hooked.where);
     if (existingRows.length > 0) {
       // If matching rows exist, update them with newData
-      return await this.update(where, newData);
+      return this._afterWrite('Update', hooked, await this._updateRows(hooked.where, hooked.data, {}));
     } else {
-      // If no matching row, merge where and newData to form a new row and insert it
-      const newRow = { ...where, ...newData };
+      // If no matching row, merge the where equalities and newData to form a new row and insert it
+      const newRow = { ...this._whereToRowData(hooked.where), ...newData };
       return await this.insertOne(newRow);
     }
   }
@@ -274,6 +1570,14 @@ class GoogleSheetDB {
     const targetRow = matchingRows[0];
     const targetRowNumber = targetRow._row; // e.g. if 'Alice' is in row 5, targetRowNumber = 5
 
+    // Get headers and build the new row array
+    const headers = await this._getHeaders();
+    const hooked = await this._beforeWrite('Insert', { operation: 'insertBeforeRow', data: newData });
+    if (hooked.cancelled) return this._cancelled(hooked);
+    newData = hooked.data;
+    const newRow = this._toRow(headers, newData);
+    await this._applyConstraints(headers, [{ row: newRow }]);
+
     // Retrieve sheet information to perform row insertion
     const metadata = await this.sheets.spreadsheets.get({
       spreadsheetId: this.sheetId,
@@ -307,12 +1611,8 @@ class GoogleSheetDB {
       },
     });
 
-    // Get headers and build the new row array
-    const headers = await this._getHeaders();
-    const newRow = headers.map(h => newData[h] || '');
-
     // Update the newly inserted row (which now takes the targetRowNumber)
-    const range = `${this.sheetName}!A${targetRowNumber}:${String.fromCharCode(65 + headers.length - 1)}${targetRowNumber}`;
+    const range = this._rowRange(targetRowNumber, headers.length);
     await this.sheets.spreadsheets.values.update({
       spreadsheetId: this.sheetId,
       range,
@@ -320,7 +1620,7 @@ class GoogleSheetDB {
       resource: { values: [newRow] },
     });
 
-    return { success: true, action: 'inserted', row: targetRowNumber, newData };
+    return this._afterWrite('Insert', hooked, { success: true, action: 'inserted', row: targetRowNumber, newData });
   }
   async replaceBeforeRow(where, newData) {
     // Find the first row that matches the where condition (e.g., { name: 'Alice' })
@@ -335,9 +1635,16 @@ class GoogleSheetDB {
     // Get the headers for constructing row arrays
     const headers = await this._getHeaders();
 
-    // If the target row is the first data row (row 2), we cannot update row 1 (the header)
-    if (insertRowNumber === 2) {
-      // Insert a new row at position 2 (which pushes the target row down)
+    // If the target row is the first data row, we cannot update the header row
+    const firstDataRow = this.headerRow + 1;
+    if (insertRowNumber === firstDataRow) {
+      const hooked = await this._beforeWrite('Insert', { operation: 'replaceBeforeRow', data: newData });
+      if (hooked.cancelled) return this._cancelled(hooked);
+      newData = hooked.data;
+      const newRow = this._toRow(headers, newData);
+      await this._applyConstraints(headers, [{ row: newRow }]);
+
+      // Insert a new row at the first data row (which pushes the target row down)
       const metadata = await this.sheets.spreadsheets.get({ spreadsheetId: this.sheetId });
       const sheetInfo = metadata.data.sheets.find(
         sheet => sheet.properties.title === this.sheetName
@@ -345,7 +1652,7 @@ class GoogleSheetDB {
       if (!sheetInfo) throw new Error(`Sheet ${this.sheetName} not found`);
       const sheetTabId = sheetInfo.properties.sheetId;
 
-      // Insert one row at index 1 (0-indexed for row 2)
+      // Insert one row at the first data row (0-indexed)
       await this.sheets.spreadsheets.batchUpdate({
         spreadsheetId: this.sheetId,
         requestBody: {
@@ -355,8 +1662,8 @@ class GoogleSheetDB {
                 range: {
                   sheetId: sheetTabId,
                   dimension: 'ROWS',
-                  startIndex: 1,
-                  endIndex: 2,
+                  startIndex: firstDataRow - 1,
+                  endIndex: firstDataRow,
                 },
                 inheritFromBefore: true,
               },
@@ -364,16 +1671,15 @@ class GoogleSheetDB {
           ],
         },
       });
-      // Update the newly inserted row (row 2) with newData
-      const newRow = headers.map(h => newData[h] || '');
-      const range = `${this.sheetName}!A2:${String.fromCharCode(65 + headers.length - 1)}2`;
+      // Update the newly inserted row with newData
+      const range = this._rowRange(firstDataRow, headers.length);
       await this.sheets.spreadsheets.values.update({
         spreadsheetId: this.sheetId,
         range,
         valueInputOption: 'USER_ENTERED',
         resource: { values: [newRow] },
       });
-      return { success: true, action: 'inserted', row: 2, newData };
+      return this._afterWrite('Insert', hooked, { success: true, action: 'inserted', row: firstDataRow, newData });
     } else {
       // Determine the row immediately before the target row
       const rowBeforeNumber = insertRowNumber - 1;
@@ -382,17 +1688,27 @@ class GoogleSheetDB {
 
       if (rowBefore) {
         // If a row exists before the target row, update that row with newData.
-        const updatedRow = headers.map(h => (newData[h] !== undefined ? newData[h] : rowBefore[h]));
-        const range = `${this.sheetName}!A${rowBeforeNumber}:${String.fromCharCode(65 + headers.length - 1)}${rowBeforeNumber}`;
+        const hooked = await this._beforeWrite('Update', { operation: 'replaceBeforeRow', data: newData });
+        if (hooked.cancelled) return this._cancelled(hooked);
+        newData = hooked.data;
+        const updatedRow = this._toRow(headers, newData, rowBefore);
+        await this._applyConstraints(headers, [{ row: updatedRow, replaces: rowBeforeNumber }], sheetData);
+        const range = this._rowRange(rowBeforeNumber, headers.length);
         await this.sheets.spreadsheets.values.update({
           spreadsheetId: this.sheetId,
           range,
           valueInputOption: 'USER_ENTERED',
           resource: { values: [updatedRow] },
         });
-        return { success: true, action: 'updated', row: rowBeforeNumber, newData };
+        return this._afterWrite('Update', hooked, { success: true, action: 'updated', row: rowBeforeNumber, newData });
       } else {
         // No row exists immediately before the target row – insert a new row there.
+        const hooked = await this._beforeWrite('Insert', { operation: 'replaceBeforeRow', data: newData });
+        if (hooked.cancelled) return this._cancelled(hooked);
+        newData = hooked.data;
+        const newRow = this._toRow(headers, newData);
+        await this._applyConstraints(headers, [{ row: newRow }], sheetData);
+
         const metadata = await this.sheets.spreadsheets.get({ spreadsheetId: this.sheetId });
         const sheetInfo = metadata.data.sheets.find(
           sheet => sheet.properties.title === this.sheetName
@@ -422,15 +1738,14 @@ class GoogleSheetDB {
           },
         });
         // Now update the inserted row with newData.
-        const newRow = headers.map(h => newData[h] || '');
-        const range = `${this.sheetName}!A${rowBeforeNumber}:${String.fromCharCode(65 + headers.length - 1)}${rowBeforeNumber}`;
+        const range = this._rowRange(rowBeforeNumber, headers.length);
         await this.sheets.spreadsheets.values.update({
           spreadsheetId: this.sheetId,
           range,
           valueInputOption: 'USER_ENTERED',
           resource: { values: [newRow] },
         });
-        return { success: true, action: 'inserted', row: rowBeforeNumber, newData };
+        return this._afterWrite('Insert', hooked, { success: true, action: 'inserted', row: rowBeforeNumber, newData });
       }
     }
   }
@@ -447,6 +1762,14 @@ class GoogleSheetDB {
     const targetRow = matchingRows[0];
     const targetRowNumber = targetRow._row; // e.g. if 'Alice' is in row 5, targetRowNumber = 5
 
+    // Get headers and build the new row array
+    const headers = await this._getHeaders();
+    const hooked = await this._beforeWrite('Insert', { operation: 'insertAfterRow', data: newData });
+    if (hooked.cancelled) return this._cancelled(hooked);
+    newData = hooked.data;
+    const newRow = this._toRow(headers, newData);
+    await this._applyConstraints(headers, [{ row: newRow }]);
+
     // Retrieve sheet information to perform row insertion
     const metadata = await this.sheets.spreadsheets.get({
       spreadsheetId: this.sheetId,
@@ -485,12 +1808,8 @@ class GoogleSheetDB {
     // New inserted row number is targetRowNumber + 1
     const newRowNumber = targetRowNumber + 1;
 
-    // Get headers and build the new row array
-    const headers = await this._getHeaders();
-    const newRow = headers.map(h => newData[h] || '');
-
     // Update the newly inserted row with newData
-    const range = `${this.sheetName}!A${newRowNumber}:${String.fromCharCode(65 + headers.length - 1)}${newRowNumber}`;
+    const range = this._rowRange(newRowNumber, headers.length);
     await this.sheets.spreadsheets.values.update({
       spreadsheetId: this.sheetId,
       range,
@@ -498,10 +1817,17 @@ class GoogleSheetDB {
       resource: { values: [newRow] },
     });
 
-    return { success: true, action: 'inserted', row: newRowNumber, newData };
+    return this._afterWrite('Insert', hooked, { success: true, action: 'inserted', row: newRowNumber, newData });
   }
 
   async updateOrInsertBeforeRow(where, uniqueKey, newData, ignoreEmptyRows = false) {
+    // uniqueKey can be left out when the table has a primary key
+    if (typeof uniqueKey === 'object' && uniqueKey !== null) {
+      ignoreEmptyRows = newData || false;
+      newData = uniqueKey;
+      uniqueKey = this._requirePrimaryKey('updateOrInsertBeforeRow');
+    }
+
     // Find the first row that matches the "where" condition.
     const matchingRows = await this.select(where);
     if (matchingRows.length === 0) {
@@ -524,19 +1850,24 @@ class GoogleSheetDB {
     // Filter for rows above the target row.
     const rowsBefore = sheetData.filter(row => row._row < targetRowNumber);
 
-    // First, check if any row above has the same unique key value.
-    const existingRow = rowsBefore.find(row => row[uniqueKey] === newData[uniqueKey]);
+    // First, check if any row above has the same unique key value. Cells
+    // read back as text, so the key is matched the way where() matches it.
+    const existingRow = rowsBefore.find(row => this._matchesWhere(row, { [uniqueKey]: newData[uniqueKey] }));
     if (existingRow) {
       const rowNumber = existingRow._row;
-      const updatedRow = headers.map(h => newData[h] !== undefined ? newData[h] : existingRow[h]);
-      const range = `${this.sheetName}!A${rowNumber}:${String.fromCharCode(65 + headers.length - 1)}${rowNumber}`;
+      const hooked = await this._beforeWrite('Update', { operation: 'updateOrInsertBeforeRow', data: newData });
+      if (hooked.cancelled) return this._cancelled(hooked);
+      newData = hooked.data;
+      const updatedRow = this._toRow(headers, newData, existingRow);
+      await this._applyConstraints(headers, [{ row: updatedRow, replaces: rowNumber }], sheetData);
+      const range = this._rowRange(rowNumber, headers.length);
       await this.sheets.spreadsheets.values.update({
         spreadsheetId: this.sheetId,
         range,
         valueInputOption: 'USER_ENTERED',
         resource: { values: [updatedRow] },
       });
-      return { success: true, action: 'updated', row: rowNumber, newData };
+      return this._afterWrite('Update', hooked, { success: true, action: 'updated', row: rowNumber, newData });
     }
 
     // If ignoreEmptyRows is true, check for contiguous empty rows immediately above the target row.
@@ -545,9 +1876,9 @@ class GoogleSheetDB {
       const rowMap = {};
       sheetData.forEach(row => { rowMap[row._row] = row; });
       let emptyRowCandidate = null;
-      // Iterate downward from targetRowNumber - 1 to row 2 (first data row).
+      // Iterate downward from targetRowNumber - 1 to the first data row.
       // We want the topmost row in the contiguous empty block.
-      for (let r = targetRowNumber - 1; r >= 2; r--) {
+      for (let r = targetRowNumber - 1; r > this.headerRow; r--) {
         // If the row isn't returned, assume it's empty.
         const rowObj = rowMap[r];
         const isEmpty = rowObj
@@ -563,19 +1894,29 @@ class GoogleSheetDB {
       if (emptyRowCandidate !== null) {
         // Update the empty row found (i.e. the row immediately after the last non-empty row).
         const rowNumber = emptyRowCandidate;
-        const updatedRow = headers.map(h => newData[h] !== undefined ? newData[h] : '');
-        const range = `${this.sheetName}!A${rowNumber}:${String.fromCharCode(65 + headers.length - 1)}${rowNumber}`;
+        const hooked = await this._beforeWrite('Insert', { operation: 'updateOrInsertBeforeRow', data: newData });
+        if (hooked.cancelled) return this._cancelled(hooked);
+        newData = hooked.data;
+        const updatedRow = this._toRow(headers, newData);
+        await this._applyConstraints(headers, [{ row: updatedRow, replaces: rowNumber }], sheetData);
+        const range = this._rowRange(rowNumber, headers.length);
         await this.sheets.spreadsheets.values.update({
           spreadsheetId: this.sheetId,
           range,
           valueInputOption: 'USER_ENTERED',
           resource: { values: [updatedRow] },
         });
-        return { success: true, action: 'updated (empty row)', row: rowNumber, newData };
+        return this._afterWrite('Insert', hooked, { success: true, action: 'updated (empty row)', row: rowNumber, newData });
       }
     }
 
     // If no existing row or empty row is found, insert a new row before the target row.
+    const hooked = await this._beforeWrite('Insert', { operation: 'updateOrInsertBeforeRow', data: newData });
+    if (hooked.cancelled) return this._cancelled(hooked);
+    newData = hooked.data;
+    const newRow = this._toRow(headers, newData);
+    await this._applyConstraints(headers, [{ row: newRow }], sheetData);
+
     const metadata = await this.sheets.spreadsheets.get({ spreadsheetId: this.sheetId });
     const sheetInfo = metadata.data.sheets.find(sheet => sheet.properties.title === this.sheetName);
     if (!sheetInfo) throw new Error(`Sheet ${this.sheetName} not found`);
@@ -602,20 +1943,25 @@ class GoogleSheetDB {
 
     // After insertion, the new row occupies the targetRowNumber.
     const newRowNumber = targetRowNumber;
-    const newRow = headers.map(h => newData[h] || '');
-    const range = `${this.sheetName}!A${newRowNumber}:${String.fromCharCode(65 + headers.length - 1)}${newRowNumber}`;
+    const range = this._rowRange(newRowNumber, headers.length);
     await this.sheets.spreadsheets.values.update({
       spreadsheetId: this.sheetId,
       range,
       valueInputOption: 'USER_ENTERED',
       resource: { values: [newRow] },
     });
-    return { success: true, action: 'inserted', row: newRowNumber, newData };
+    return this._afterWrite('Insert', hooked, { success: true, action: 'inserted', row: newRowNumber, newData });
   }
 
 
 
   async updateOrInsertAfterRow(where, uniqueKey, newData) {
+    // uniqueKey can be left out when the table has a primary key
+    if (typeof uniqueKey === 'object' && uniqueKey !== null) {
+      newData = uniqueKey;
+      uniqueKey = this._requirePrimaryKey('updateOrInsertAfterRow');
+    }
+
     // Find the first row that matches the "where" condition.
     const matchingRows = await this.select(where);
     if (matchingRows.length === 0) {
@@ -638,22 +1984,32 @@ class GoogleSheetDB {
     const rowsAfter = sheetData.filter(row => row._row > targetRowNumber);
 
     // Look for a row among those after that has the same unique key value.
-    const existingRow = rowsAfter.find(row => row[uniqueKey] === newData[uniqueKey]);
+    const existingRow = rowsAfter.find(row => this._matchesWhere(row, { [uniqueKey]: newData[uniqueKey] }));
 
     if (existingRow) {
       // Update the existing row with newData.
       const rowNumber = existingRow._row;
-      const updatedRow = headers.map(h => newData[h] !== undefined ? newData[h] : existingRow[h]);
-      const range = `${this.sheetName}!A${rowNumber}:${String.fromCharCode(65 + headers.length - 1)}${rowNumber}`;
+      const hooked = await this._beforeWrite('Update', { operation: 'updateOrInsertAfterRow', data: newData });
+      if (hooked.cancelled) return this._cancelled(hooked);
+      newData = hooked.data;
+      const updatedRow = this._toRow(headers, newData, existingRow);
+      await this._applyConstraints(headers, [{ row: updatedRow, replaces: rowNumber }], sheetData);
+      const range = this._rowRange(rowNumber, headers.length);
       await this.sheets.spreadsheets.values.update({
         spreadsheetId: this.sheetId,
         range,
         valueInputOption: 'USER_ENTERED',
         resource: { values: [updatedRow] },
       });
-      return { success: true, action: 'updated', row: rowNumber, newData };
+      return this._afterWrite('Update', hooked, { success: true, action: 'updated', row: rowNumber, newData });
     } else {
       // Otherwise, insert a new row after the target row.
+      const hooked = await this._beforeWrite('Insert', { operation: 'updateOrInsertAfterRow', data: newData });
+      if (hooked.cancelled) return this._cancelled(hooked);
+      newData = hooked.data;
+      const newRow = this._toRow(headers, newData);
+      await this._applyConstraints(headers, [{ row: newRow }], sheetData);
+
       const metadata = await this.sheets.spreadsheets.get({ spreadsheetId: this.sheetId });
       const sheetInfo = metadata.data.sheets.find(sheet => sheet.properties.title === this.sheetName);
       if (!sheetInfo) throw new Error(`Sheet ${this.sheetName} not found`);
@@ -680,40 +2036,126 @@ class GoogleSheetDB {
 
       // After insertion, the new row occupies targetRowNumber + 1.
       const newRowNumber = targetRowNumber + 1;
-      const newRow = headers.map(h => newData[h] || '');
-      const range = `${this.sheetName}!A${newRowNumber}:${String.fromCharCode(65 + headers.length - 1)}${newRowNumber}`;
+      const range = this._rowRange(newRowNumber, headers.length);
       await this.sheets.spreadsheets.values.update({
         spreadsheetId: this.sheetId,
         range,
         valueInputOption: 'USER_ENTERED',
         resource: { values: [newRow] },
       });
-      return { success: true, action: 'inserted', row: newRowNumber, newData };
+      return this._afterWrite('Insert', hooked, { success: true, action: 'inserted', row: newRowNumber, newData });
     }
   }
 
 
 
-  async delete(where) {
-    const data = await this._getSheetData();
-    const matching = this._applyFilter(data, where);
+  // Clears the matching rows by default. With { mode: 'remove' } the rows
+  // are deleted from the tab and the rows below move up. { expectedVersion }
+  // works as in update().
+  // With the softDelete option the live rows only get their deleted_at set
+  // (see restore()); { force: true } deletes them for real, and
+  // { onlyDeleted: true } purges rows that were soft-deleted before.
+  async delete(where, options = {}) {
+    const hooked = await this._beforeWrite('Delete', { operation: 'delete', where, options });
+    if (hooked.cancelled) return this._cancelled(hooked);
+    const result = this.deletedAtColumn && !options.force && !options.onlyDeleted
+      ? await this._softDelete(hooked.where, options)
+      : await this._deleteRows(hooked.where, options);
+    return this._afterWrite('Delete', hooked, result);
+  }
+
+  async _deleteRows(where, options) {
+    const data = await this._getCurrentData(options);
+    const matching = this._applyFilter(this._visibleRows(data, options), where);
+    this._checkVersions(matching, options.expectedVersion);
 
     const deleted = [];
+    const ranges = [];
 
     for (const row of matching) {
-      const range = `${this.sheetName}!A${row._row}:${String.fromCharCode(65 + Object.keys(row).length - 2)}${row._row}`;
-      await this.sheets.spreadsheets.values.clear({
-        spreadsheetId: this.sheetId,
-        range,
-      });
+      ranges.push(this._rowRange(row._row, Object.keys(row).length - 1));
       deleted.push(row._row);
     }
 
-    return {
+    const snapshotId = this._isEmptyWhere(where) ? await this._autoSnapshot('delete') : null;
+    if (options.mode === 'remove') {
+      await this._removeRows(deleted, matching.length ? Object.keys(matching[0]).length - 1 : 0);
+    } else {
+      await this._batchClear(ranges);
+    }
+
+    const result = {
       success: true,
       deletedCount: deleted.length,
       deletedRows: deleted,
     };
+    if (snapshotId) result.snapshotId = snapshotId;
+    return result;
+  }
+
+  // Rows deleted before keep their deleted_at, even with { withDeleted: true }
+  async _softDelete(where, options) {
+    await this._requireDeletedAtColumn();
+    const result = await this._updateRows(where, { [this.deletedAtColumn]: new Date().toISOString() }, {
+      expectedVersion: options.expectedVersion,
+      withDeleted: false,
+      onlyDeleted: false,
+    });
+    const deleted = {
+      success: true,
+      deletedCount: result.updatedCount,
+      deletedRows: result.updatedRows.map(({ row }) => row),
+      soft: true,
+    };
+    if (result.snapshotId) deleted.snapshotId = result.snapshotId;
+    return deleted;
+  }
+
+  // Clears deleted_at on the soft-deleted rows matching `where`, bringing
+  // them back into select() results. Runs the update hooks.
+  async restore(where = {}, options = {}) {
+    if (!this.deletedAtColumn) throw new Error('restore() needs the softDelete option');
+    await this._requireDeletedAtColumn();
+    const hooked = await this._beforeWrite('Update', {
+      operation: 'restore',
+      where,
+      data: { [this.deletedAtColumn]: '' },
+      options,
+    });
+    if (hooked.cancelled) return this._cancelled(hooked);
+    const result = await this._updateRows(hooked.where, hooked.data, { ...options, onlyDeleted: true });
+    const restored = {
+      success: true,
+      restoredCount: result.updatedCount,
+      restoredRows: result.updatedRows.map(({ row }) => row),
+    };
+    if (result.snapshotId) restored.snapshotId = result.snapshotId;
+    return this._afterWrite('Update', hooked, restored);
+  }
+
+  // Soft deletes write to the deleted_at column, so the tab must have one
+  async _requireDeletedAtColumn() {
+    const headers = await this._getHeaders();
+    if (!headers.includes(this.deletedAtColumn)) {
+      throw new Error(`Table "${this.sheetName}" has no "${this.deletedAtColumn}" column for soft deletes`);
+    }
+  }
+
+  // Removes blank rows left behind by delete() in clear mode
+  async compactTable() {
+    try {
+      const data = await this._getSheetData();
+      const emptyRows = data.filter(row => this._isEmptyRow(row)).map(row => row._row);
+      await this._removeRows(emptyRows, data.length ? Object.keys(data[0]).length - 1 : 0);
+
+      return {
+        success: true,
+        removedCount: emptyRows.length,
+        removedRows: emptyRows,
+      };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
   }
 
   // Drop the entire sheet tab
@@ -732,6 +2174,7 @@ class GoogleSheetDB {
       }
 
       const sheetId = sheet.properties.sheetId;
+      const snapshotId = await this._autoSnapshot('dropTable');
 
       await this.sheets.spreadsheets.batchUpdate({
         spreadsheetId: this.sheetId,
@@ -746,7 +2189,9 @@ class GoogleSheetDB {
         },
       });
 
-      return { success: true, message: `Sheet "${this.sheetName}" dropped.` };
+      const result = { success: true, message: `Sheet "${this.sheetName}" dropped.` };
+      if (snapshotId) result.snapshotId = snapshotId;
+      return result;
     } catch (err) {
       return { success: false, error: err.message };
     }
@@ -757,18 +2202,21 @@ class GoogleSheetDB {
     try {
       // Clear everything except header row (row 1)
       const headers = await this._getHeaders();
-      const range = `${this.sheetName}!A2:Z1000`; // adjust range if needed
+      const range = this._rowRange(this.headerRow + 1, headers.length, null);
+      const snapshotId = await this._autoSnapshot('truncateTable');
 
       await this.sheets.spreadsheets.values.clear({
         spreadsheetId: this.sheetId,
         range,
       });
 
-      return {
+      const result = {
         success: true,
         message: `Table "${this.sheetName}" truncated (data cleared, headers kept).`,
         headers,
       };
+      if (snapshotId) result.snapshotId = snapshotId;
+      return result;
     } catch (err) {
       return { success: false, error: err.message };
     }
@@ -808,176 +2256,383 @@ class GoogleSheetDB {
     }
   }
 
+  // Loads rows from a CSV, JSON or NDJSON file (path) or stream into the
+  // table, in insertMany() calls of `chunkSize` rows. Source columns go to
+  // the header of the same name (or of any case), or to the one
+  // options.columns maps them to ({ 'E-mail': 'email' }; null drops one).
+  // Columns the table doesn't have are skipped and reported. With
+  // options.createTable a missing tab, or one without headers, is created
+  // from the source columns. options.onProgress({ insertedCount, chunks })
+  // is called after every chunk. On failure the rows of earlier chunks stay
+  // in the sheet; insertedCount says how many.
+  async importFrom(source, options = {}) {
+    const { columns: mapping = {}, createTable = false, chunkSize = IMPORT_CHUNK_SIZE, onProgress } = options;
+    let insertedCount = 0;
+    let chunks = 0;
+    try {
+      const { format, delimiter } = resolveFormat(source, options);
+      let headers = null;
+      const targets = new Map();
+      const skipped = new Set();
+      const target = column => {
+        if (!targets.has(column)) {
+          const name = column in mapping ? mapping[column] : column;
+          const header = name === null || name === false
+            ? null
+            : headers.find(h => h === name) || headers.find(h => h.toLowerCase() === String(name).toLowerCase()) || null;
+          if (header === null && name !== null && name !== false) skipped.add(column);
+          targets.set(column, header);
+        }
+        return targets.get(column);
+      };
 
-  _sqlToNosqlConverter(sqlQuery) {
-    const query = sqlQuery.trim();
-    const upperQuery = query.toUpperCase();
+      let chunk = [];
+      const flush = async () => {
+        if (chunk.length === 0) return;
+        const inserted = await this.insertMany(chunk);
+        if (inserted.cancelled) throw new Error(inserted.error);
+        insertedCount += chunk.length;
+        chunks += 1;
+        chunk = [];
+        if (onProgress) onProgress({ insertedCount, chunks });
+      };
 
-    // CREATE TABLE: e.g., "CREATE TABLE myTable (col1, col2, col3)"
-    if (upperQuery.startsWith('CREATE TABLE')) {
-      const match = query.match(/CREATE\s+TABLE\s+\w+\s*\(([^)]+)\)/i);
-      if (!match) throw new Error('Invalid CREATE TABLE syntax');
-      const columns = match[1].split(',').map(col => col.trim());
-      return { operation: 'createTable', args: { columns } };
+      for await (const record of readRecords(source, { format, delimiter })) {
+        if (!headers) headers = await this._importHeaders(Object.keys(record), mapping, createTable);
+        const row = {};
+        Object.entries(record).forEach(([column, value]) => {
+          const header = target(column);
+          if (header !== null) row[header] = value;
+        });
+        chunk.push(row);
+        if (chunk.length >= chunkSize) await flush();
+      }
+      await flush();
+
+      return { success: true, insertedCount, skippedColumns: [...skipped] };
+    } catch (err) {
+      return { success: false, error: err.message, insertedCount };
     }
+  }
 
-    // DROP TABLE: e.g., "DROP TABLE myTable"
-    if (upperQuery.startsWith('DROP TABLE')) {
-      return { operation: 'dropTable', args: {} };
+  // The table's headers for importFrom(), creating the table from the
+  // (mapped) source columns when asked to and it has none
+  async _importHeaders(columns, mapping, createTable) {
+    const metadata = await this.sheets.spreadsheets.get({ spreadsheetId: this.sheetId });
+    const exists = metadata.data.sheets.some(sheet => sheet.properties.title === this.sheetName);
+    const headers = exists ? await this._getHeaders() : [];
+    if (headers.length) return headers;
+    if (!createTable) {
+      throw new Error(exists
+        ? `Table "${this.sheetName}" has no headers; pass { createTable: true } to create them`
+        : `Sheet ${this.sheetName} not found; pass { createTable: true } to create it`);
     }
 
-    // TRUNCATE TABLE: e.g., "TRUNCATE TABLE myTable"
-    if (upperQuery.startsWith('TRUNCATE TABLE')) {
-      return { operation: 'truncateTable', args: {} };
+    const names = columns
+      .map(column => (column in mapping ? mapping[column] : column))
+      .filter(name => name !== null && name !== false && name !== '');
+    const result = await this.createTable([...new Set(names)]);
+    if (!result.success) throw new Error(result.error);
+    return result.columns;
+  }
+
+  // Writes the rows select(where, options) returns to a file (path) or
+  // writable stream as CSV, JSON or NDJSON. The format comes from
+  // options.format or the file extension; options.delimiter sets the CSV
+  // separator. Streams passed in are left open.
+  async exportTo(destination, options = {}) {
+    const { format: _format, delimiter: _delimiter, where = {}, ...selectOptions } = options;
+    try {
+      const { format, delimiter } = resolveFormat(destination, options);
+      const rows = (await this.select(where, selectOptions)).map(({ _row, ...values }) => values);
+      const columns = selectOptions.selectFields || (rows.length ? Object.keys(rows[0]) : await this._getHeaders());
+      const exportedCount = await writeRows(destination, rows, { format, delimiter, columns });
+      return { success: true, exportedCount };
+    } catch (err) {
+      return { success: false, error: err.message };
     }
+  }
 
-    // INSERT INTO: e.g., "INSERT INTO myTable (col1, col2) VALUES ('val1', 'val2')"
-    if (upperQuery.startsWith('INSERT INTO')) {
-      const match = query.match(/INSERT\s+INTO\s+\w+\s*\(([^)]+)\)\s+VALUES\s*\(([^)]+)\)/i);
-      if (!match) throw new Error('Invalid INSERT INTO syntax');
-      const columns = match[1].split(',').map(col => col.trim());
-      const values = match[2]
-        .split(',')
-        .map(val => val.trim().replace(/^['"]|['"]$/g, ''));
-      const obj = {};
-      columns.forEach((col, index) => {
-        obj[col] = values[index];
-      });
-      return { operation: 'insertOne', args: { obj } };
-    }
-
-    // SELECT: e.g., "SELECT * FROM myTable WHERE col1 = 'val1' AND col2 = 'val2' ORDER BY col1 DESC LIMIT 10 OFFSET 5"
-    if (upperQuery.startsWith('SELECT')) {
-      const selectMatch = query.match(/SELECT\s+(.*?)\s+FROM\s+\w+/i);
-      if (!selectMatch) throw new Error('Invalid SELECT syntax');
-      const fieldsPart = selectMatch[1].trim();
-      let selectFields = undefined;
-      if (fieldsPart !== '*' && fieldsPart !== '') {
-        selectFields = fieldsPart.split(',').map(f => f.trim());
-      }
-
-      let where = {};
-      const whereMatch = query.match(/WHERE\s+(.+?)(ORDER BY|LIMIT|OFFSET|$)/i);
-      if (whereMatch) {
-        const conditionsStr = whereMatch[1].trim();
-        const conditions = conditionsStr.split(/\s+AND\s+/i);
-        conditions.forEach(condition => {
-          const parts = condition.split('=');
-          if (parts.length === 2) {
-            const key = parts[0].trim();
-            const value = parts[1].trim().replace(/^['"]|['"]$/g, '');
-            where[key] = value;
-          }
+  // ---- snapshots ----
+
+  // Copies a tab (the current one unless `name` is given) so it can be
+  // restored later. By default the copy is a hidden tab made with
+  // duplicateSheet, so formatting and formulas come along. With options.dir
+  // (or the snapshotDir option) it is a JSON file of the tab's values and
+  // formulas in that directory instead.
+  async snapshotTable(name = null, options = {}) {
+    const db = this._withTable(name);
+    try {
+      const dir = options.dir || this.snapshotDir;
+      const metadata = await this.sheets.spreadsheets.get({ spreadsheetId: this.sheetId });
+      const titles = metadata.data.sheets.map(sheet => sheet.properties.title);
+      const source = metadata.data.sheets.find(sheet => sheet.properties.title === db.sheetName);
+      if (!source) throw new Error(`Sheet ${db.sheetName} not found`);
+
+      const createdAt = new Date();
+      const base = `${db.sheetName}@${createdAt.toISOString().replace(/[-:.]/g, '')}`;
+      const taken = id => (dir ? fs.existsSync(path.join(dir, snapshotFileName(id))) : titles.includes(id));
+      let id = base;
+      for (let n = 2; taken(id); n++) id = `${base}-${n}`;
+
+      if (dir) {
+        const res = await this.sheets.spreadsheets.values.get({
+          spreadsheetId: this.sheetId,
+          range: quoteSheetName(db.sheetName),
+          valueRenderOption: 'FORMULA',
+          dateTimeRenderOption: 'FORMATTED_STRING',
+        });
+        await fs.promises.mkdir(dir, { recursive: true });
+        const snapshot = { id, table: db.sheetName, createdAt: createdAt.toISOString(), values: res.data.values || [] };
+        await fs.promises.writeFile(path.join(dir, snapshotFileName(id)), JSON.stringify(snapshot));
+      } else {
+        const res = await this.sheets.spreadsheets.batchUpdate({
+          spreadsheetId: this.sheetId,
+          requestBody: {
+            requests: [
+              {
+                duplicateSheet: {
+                  sourceSheetId: source.properties.sheetId,
+                  newSheetName: id,
+                  insertSheetIndex: titles.length,
+                },
+              },
+            ],
+          },
+        });
+        const copy = res.data.replies[0].duplicateSheet.properties;
+        await this.sheets.spreadsheets.batchUpdate({
+          spreadsheetId: this.sheetId,
+          requestBody: {
+            requests: [
+              {
+                updateSheetProperties: {
+                  properties: { sheetId: copy.sheetId, hidden: true },
+                  fields: 'hidden',
+                },
+              },
+            ],
+          },
         });
       }
 
-      let options = {};
-      const orderMatch = query.match(/ORDER BY\s+(.+?)(LIMIT|OFFSET|$)/i);
-      if (orderMatch) {
-        const orderStr = orderMatch[1].trim();
-        const orders = orderStr.split(',').map(order => {
-          const parts = order.trim().split(/\s+/);
-          return { column: parts[0], direction: parts[1] ? parts[1].toLowerCase() : 'asc' };
+      return {
+        success: true,
+        id,
+        table: db.sheetName,
+        createdAt: createdAt.toISOString(),
+        storage: dir ? 'file' : 'sheet',
+      };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  }
+
+  // Snapshots of one tab, or of every tab when `name` is null, oldest
+  // first: { id, table, createdAt, storage }
+  async listSnapshots(name = null, options = {}) {
+    try {
+      const dir = options.dir || this.snapshotDir;
+      const snapshots = [];
+      const add = (id, storage) => {
+        const parsed = parseSnapshotId(id);
+        if (!parsed || (name !== null && parsed.table !== name)) return;
+        snapshots.push({ id, table: parsed.table, createdAt: parsed.createdAt.toISOString(), storage });
+      };
+
+      const metadata = await this.sheets.spreadsheets.get({ spreadsheetId: this.sheetId });
+      metadata.data.sheets.forEach(sheet => add(sheet.properties.title, 'sheet'));
+      if (dir) {
+        const files = await fs.promises.readdir(dir).catch(err => {
+          if (err.code === 'ENOENT') return [];
+          throw err;
+        });
+        files.filter(file => file.endsWith('.json')).forEach(file => {
+          try {
+            add(decodeURIComponent(file.slice(0, -'.json'.length)), 'file');
+          } catch (err) {
+            // Not one of our file names
+          }
         });
-        options.orderBy = orders;
-      }
-      const limitMatch = query.match(/LIMIT\s+(\d+)/i);
-      if (limitMatch) {
-        options.limit = parseInt(limitMatch[1], 10);
-      }
-      const offsetMatch = query.match(/OFFSET\s+(\d+)/i);
-      if (offsetMatch) {
-        options.offset = parseInt(offsetMatch[1], 10);
-      }
-      if (selectFields) {
-        options.selectFields = selectFields;
       }
 
-      return { operation: 'select', args: { where, options } };
+      snapshots.sort((a, b) => a.createdAt.localeCompare(b.createdAt) || a.id.localeCompare(b.id));
+      return { success: true, snapshots };
+    } catch (err) {
+      return { success: false, error: err.message };
     }
+  }
 
-    // UPDATE: e.g., "UPDATE myTable SET col1 = 'newVal', col2 = 'anotherVal' WHERE col3 = 'val3'"
-    if (upperQuery.startsWith('UPDATE')) {
-      const updateMatch = query.match(/UPDATE\s+\w+\s+SET\s+(.+?)\s+WHERE\s+(.+)/i);
-      if (!updateMatch) throw new Error('Invalid UPDATE syntax');
-      const setPart = updateMatch[1].trim();
-      const wherePart = updateMatch[2].trim();
+  // Puts a snapshot's contents back into the tab it was taken from,
+  // replacing what is there now. A dropped tab is created again.
+  async restoreSnapshot(id, options = {}) {
+    try {
+      const parsed = parseSnapshotId(id);
+      if (!parsed) throw new Error(`Invalid snapshot id: ${id}`);
+      const db = this._withTable(parsed.table);
+      const dir = options.dir || this.snapshotDir;
 
-      let newData = {};
-      setPart.split(',').forEach(pair => {
-        const parts = pair.split('=');
-        if (parts.length === 2) {
-          const key = parts[0].trim();
-          const value = parts[1].trim().replace(/^['"]|['"]$/g, '');
-          newData[key] = value;
+      const metadata = await this.sheets.spreadsheets.get({ spreadsheetId: this.sheetId });
+      const findSheet = title => metadata.data.sheets.find(sheet => sheet.properties.title === title);
+      const snapshotSheet = findSheet(id);
+      let values = null;
+      if (!snapshotSheet) {
+        if (!dir) throw new Error(`Snapshot ${id} not found`);
+        try {
+          values = JSON.parse(await fs.promises.readFile(path.join(dir, snapshotFileName(id)), 'utf8')).values;
+        } catch (err) {
+          if (err.code === 'ENOENT') throw new Error(`Snapshot ${id} not found`);
+          throw err;
         }
-      });
+      }
 
-      let where = {};
-      wherePart.split(/\s+AND\s+/i).forEach(condition => {
-        const parts = condition.split('=');
-        if (parts.length === 2) {
-          const key = parts[0].trim();
-          const value = parts[1].trim().replace(/^['"]|['"]$/g, '');
-          where[key] = value;
-        }
+      let target = findSheet(parsed.table);
+      const snapshotId = target ? await db._autoSnapshot('restoreSnapshot') : null;
+      if (!target) {
+        const res = await this.sheets.spreadsheets.batchUpdate({
+          spreadsheetId: this.sheetId,
+          requestBody: { requests: [{ addSheet: { properties: { title: parsed.table } } }] },
+        });
+        target = res.data.replies[0].addSheet;
+      }
+
+      await this.sheets.spreadsheets.values.clear({
+        spreadsheetId: this.sheetId,
+        range: quoteSheetName(parsed.table),
       });
 
-      return { operation: 'update', args: { where, newData } };
-    }
-
-    // DELETE: e.g., "DELETE FROM myTable WHERE col1 = 'val1'"
-    if (upperQuery.startsWith('DELETE')) {
-      const deleteMatch = query.match(/DELETE\s+FROM\s+\w+\s+WHERE\s+(.+)/i);
-      if (!deleteMatch) throw new Error('Invalid DELETE syntax');
-      const wherePart = deleteMatch[1].trim();
-      let where = {};
-      wherePart.split(/\s+AND\s+/i).forEach(condition => {
-        const parts = condition.split('=');
-        if (parts.length === 2) {
-          const key = parts[0].trim();
-          const value = parts[1].trim().replace(/^['"]|['"]$/g, '');
-          where[key] = value;
+      if (snapshotSheet) {
+        // The paste needs the target tab to be at least as large as the copy
+        const from = snapshotSheet.properties.gridProperties || {};
+        const to = target.properties.gridProperties || {};
+        const requests = [];
+        if (from.rowCount > to.rowCount) {
+          requests.push({ appendDimension: { sheetId: target.properties.sheetId, dimension: 'ROWS', length: from.rowCount - to.rowCount } });
         }
-      });
-      return { operation: 'delete', args: { where } };
-    }
+        if (from.columnCount > to.columnCount) {
+          requests.push({ appendDimension: { sheetId: target.properties.sheetId, dimension: 'COLUMNS', length: from.columnCount - to.columnCount } });
+        }
+        requests.push({
+          copyPaste: {
+            source: { sheetId: snapshotSheet.properties.sheetId },
+            destination: {
+              sheetId: target.properties.sheetId,
+              startRowIndex: 0,
+              endRowIndex: 1,
+              startColumnIndex: 0,
+              endColumnIndex: 1,
+            },
+            pasteType: 'PASTE_NORMAL',
+          },
+        });
+        await this.sheets.spreadsheets.batchUpdate({
+          spreadsheetId: this.sheetId,
+          requestBody: { requests },
+        });
+      } else if (values.length) {
+        await this.sheets.spreadsheets.values.update({
+          spreadsheetId: this.sheetId,
+          range: `${quoteSheetName(parsed.table)}!A1`,
+          valueInputOption: 'USER_ENTERED',
+          resource: { values: values.map(row => row.map(keepText)) },
+        });
+      }
 
-    // GET TABLES (non-standard SQL)
-    if (upperQuery === 'GET TABLES') {
-      return { operation: 'getTables', args: {} };
+      const result = { success: true, id, table: parsed.table, storage: snapshotSheet ? 'sheet' : 'file' };
+      if (snapshotId) result.snapshotId = snapshotId;
+      return result;
+    } catch (err) {
+      return { success: false, error: err.message };
     }
+  }
 
-    // SHOW TABLE DETAIL (non-standard SQL)
-    if (upperQuery === 'SHOW TABLE DETAIL') {
-      return { operation: 'showTableDetail', args: {} };
+  // Removes a snapshot tab or file
+  async deleteSnapshot(id, options = {}) {
+    try {
+      if (!parseSnapshotId(id)) throw new Error(`Invalid snapshot id: ${id}`);
+      const dir = options.dir || this.snapshotDir;
+      const metadata = await this.sheets.spreadsheets.get({ spreadsheetId: this.sheetId });
+      const sheet = metadata.data.sheets.find(s => s.properties.title === id);
+      if (sheet) {
+        await this.sheets.spreadsheets.batchUpdate({
+          spreadsheetId: this.sheetId,
+          requestBody: { requests: [{ deleteSheet: { sheetId: sheet.properties.sheetId } }] },
+        });
+      } else {
+        if (!dir) throw new Error(`Snapshot ${id} not found`);
+        await fs.promises.unlink(path.join(dir, snapshotFileName(id))).catch(err => {
+          throw err.code === 'ENOENT' ? new Error(`Snapshot ${id} not found`) : err;
+        });
+      }
+      return { success: true, id };
+    } catch (err) {
+      return { success: false, error: err.message };
     }
+  }
+
+  // With the autoSnapshot option, takes a snapshot before a destructive
+  // call and returns its id. The call doesn't go ahead without one.
+  async _autoSnapshot(operation) {
+    if (!this.autoSnapshot) return null;
+    const result = await this.snapshotTable();
+    if (!result.success) throw new Error(`Could not take a snapshot before ${operation}(): ${result.error}`);
+    return result.id;
+  }
 
-    throw new Error('Unsupported SQL operation');
+  // An update()/delete() filter that matches every row
+  _isEmptyWhere(where) {
+    return !where || Object.keys(where).length === 0;
+  }
+
+  // Parses a SQL statement into the { operation, args } command run by query()
+  _sqlToNosqlConverter(sqlQuery) {
+    return sqlToCommand(sqlQuery);
   }
 
   // The exec method that uses the SQL converter and calls the appropriate method
+  // beforeQuery hooks see the statement (context.sql) and what it compiled
+  // to (context.command), and may change either; the writes it makes run
+  // their own hooks too.
   async query(sqlQuery) {
-    const command = this._sqlToNosqlConverter(sqlQuery);
+    let command = this._sqlToNosqlConverter(sqlQuery);
+    if (this.hooks.has('beforeQuery')) {
+      const hooked = hookContext(command.table || this.sheetName, { operation: 'query', sql: sqlQuery, command });
+      if (!(await this.hooks.run('beforeQuery', hooked))) return this._cancelled(hooked);
+      command = hooked.sql === sqlQuery ? hooked.command : this._sqlToNosqlConverter(hooked.sql);
+    }
+    // Statements run against the tab they name, e.g. "SELECT * FROM orders"
+    const db = this._withTable(command.table);
     switch (command.operation) {
       case 'createTable':
-        return await this.createTable(command.args.columns);
+        return await db.createTable(command.args.columns);
+      case 'addColumn':
+        return await db.addColumn(command.args.column, command.args.placement);
+      case 'dropColumn':
+        return await db.dropColumn(command.args.column);
+      case 'renameColumn':
+        return await db.renameColumn(command.args.from, command.args.to);
+      case 'moveColumn':
+        return await db.moveColumn(command.args.column, command.args.placement);
       case 'dropTable':
-        return await this.dropTable();
+        return await db.dropTable();
       case 'truncateTable':
-        return await this.truncateTable();
+        return await db.truncateTable();
       case 'insertOne':
-        return await this.insertOne(command.args.obj);
+        return await db.insertOne(command.args.obj);
+      case 'insertMany':
+        return await db.insertMany(command.args.rows);
       case 'select':
-        return await this.select(command.args.where, command.args.options);
+        return await db.select(command.args.where, command.args.options);
+      case 'join':
+        return await this._selectJoin(command.args);
       case 'update':
-        return await this.update(command.args.where, command.args.newData);
+        return await db.update(command.args.where, command.args.newData);
       case 'delete':
-        return await this.delete(command.args.where);
+        return await db.delete(command.args.where);
       case 'getTables':
-        return await this.getTables();
+        return await db.getTables();
       case 'showTableDetail':
-        return await this.showTableDetail();
+        return await db.showTableDetail();
       default:
         throw new Error('Unsupported operation');
     }
@@ -985,4 +2640,15 @@ class GoogleSheetDB {
 
 }
 
-module.exports = GoogleSheetDB;
\ No newline at end of file
+module.exports = GoogleSheetDB;
+module.exports.SqlSyntaxError = SqlSyntaxError;
+module.exports.ValidationError = ValidationError;
+module.exports.ConflictError = ConflictError;
+module.exports.ConstraintError = ConstraintError;
+module.exports.MemoryAdapter = MemoryAdapter;
+module.exports.JsonFileAdapter = JsonFileAdapter;
+module.exports.Migrator = Migrator;
+module.exports.QueryBuilder = QueryBuilder;
+module.exports.createServer = createServer;
+module.exports.createHandler = createHandler;
+module.exports.bearerAuth = bearerAuth;
@@ -0,0 +1,113 @@
+// A1-notation helpers. Rows and columns are zero-based here; A1 strings are
+// one-based ("A1" is row 0, column 0).
+
+// 0 => "A", 25 => "Z", 26 => "AA", 701 => "ZZ", 702 => "AAA"
+function columnToLetter(index) {
+  if (!Number.isInteger(index) || index < 0) throw new Error(`Invalid column index: ${index}`);
+  let letters = '';
+  let n = index + 1;
+  while (n > 0) {
+    const rem = (n - 1) % 26;
+    letters = String.fromCharCode(65 + rem) + letters;
+    n = Math.floor((n - 1) / 26);
+  }
+  return letters;
+}
+
+// "A" => 0, "AA" => 26
+function letterToColumn(letters) {
+  if (!/^[A-Za-z]+$/.test(letters)) throw new Error(`Invalid column letters: ${letters}`);
+  return letters
+    .toUpperCase()
+    .split('')
+    .reduce((n, ch) => n * 26 + (ch.charCodeAt(0) - 64), 0) - 1;
+}
+
+// Sheet names with anything but letters, digits and underscores must be
+// single-quoted in a range, with quotes inside doubled.
+function quoteSheetName(name) {
+  if (/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) return name;
+  return `'${String(name).replace(/'/g, "''")}'`;
+}
+
+function parseCell(ref, range) {
+  const match = /^([A-Za-z]*)(\d*)$/.exec(ref);
+  if (!match || (!match[1] && !match[2])) throw new Error(`Unable to parse range: ${range}`);
+  return {
+    col: match[1] ? letterToColumn(match[1]) : null,
+    row: match[2] ? parseInt(match[2], 10) - 1 : null,
+  };
+}
+
+// "'My Tab'!B2:D" => { sheet: 'My Tab', startRow: 1, startCol: 1, endRow: null, endCol: 3 }
+// Missing bounds are null (open-ended). A bare sheet name covers the whole tab.
+// `single` is true for a one-cell reference such as "Sheet1!A1".
+function parseRange(range) {
+  let sheet;
+  let rest = '';
+  if (range.startsWith("'")) {
+    let i = 1;
+    sheet = '';
+    for (; i < range.length; i++) {
+      if (range[i] === "'") {
+        if (range[i + 1] === "'") {
+          sheet += "'";
+          i++;
+          continue;
+        }
+        break;
+      }
+      sheet += range[i];
+    }
+    if (i >= range.length) throw new Error(`Unable to parse range: ${range}`);
+    rest = range.slice(i + 1);
+    if (rest && !rest.startsWith('!')) throw new Error(`Unable to parse range: ${range}`);
+    rest = rest.slice(1);
+  } else {
+    const bang = range.lastIndexOf('!');
+    sheet = bang === -1 ? range : range.slice(0, bang);
+    rest = bang === -1 ? '' : range.slice(bang + 1);
+  }
+
+  if (!rest) {
+    return { sheet, startRow: 0, startCol: 0, endRow: null, endCol: null, single: false };
+  }
+
+  const [startRef, endRef, extra] = rest.split(':');
+  if (extra !== undefined) throw new Error(`Unable to parse range: ${range}`);
+  const start = parseCell(startRef, range);
+  if (endRef === undefined) {
+    return {
+      sheet,
+      startRow: start.row ?? 0,
+      startCol: start.col ?? 0,
+      endRow: start.row,
+      endCol: start.col,
+      single: start.row !== null && start.col !== null,
+    };
+  }
+  const end = parseCell(endRef, range);
+  return {
+    sheet,
+    startRow: start.row ?? 0,
+    startCol: start.col ?? 0,
+    endRow: end.row,
+    endCol: end.col,
+    single: false,
+  };
+}
+
+// formatRange('My Tab', 1, 0, 1, 2) => "'My Tab'!A2:C2". Pass null for an
+// open end: formatRange('T', 1, 0, null, 2) => "T!A2:C".
+function formatRange(sheet, startRow, startCol, endRow, endCol) {
+  const cell = (row, col) => `${col === null ? '' : columnToLetter(col)}${row === null ? '' : row + 1}`;
+  return `${quoteSheetName(sheet)}!${cell(startRow, startCol)}:${cell(endRow, endCol)}`;
+}
+
+module.exports = {
+  columnToLetter,
+  letterToColumn,
+  quoteSheetName,
+  parseRange,
+  formatRange,
+};
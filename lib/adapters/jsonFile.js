@@ -0,0 +1,41 @@
+const fs = require('fs');
+const path = require('path');
+const MemoryAdapter = require('./memory');
+
+// MemoryAdapter backed by a JSON file of { tab: [[...row], ...] }. The file
+// is read once when the adapter is created (a missing file starts with an
+// empty Sheet1) and rewritten after every write.
+class JsonFileAdapter extends MemoryAdapter {
+  constructor(filePath) {
+    if (!filePath) throw new Error('JsonFileAdapter needs a file path');
+
+    let tabs = { Sheet1: [] };
+    if (fs.existsSync(filePath)) {
+      const text = fs.readFileSync(filePath, 'utf8');
+      try {
+        tabs = text.trim() ? JSON.parse(text) : tabs;
+      } catch (err) {
+        throw new Error(`Could not parse ${filePath}: ${err.message}`);
+      }
+    }
+    super(tabs);
+    this.filePath = filePath;
+    this.saving = Promise.resolve();
+  }
+
+  // Written to a temporary file first so a crash never leaves half a file.
+  // Saves run one after another, since they share the temporary file; a
+  // failed save doesn't stop the next one.
+  _persist() {
+    const save = async () => {
+      const tmp = path.join(path.dirname(this.filePath), `.${path.basename(this.filePath)}.tmp`);
+      await fs.promises.writeFile(tmp, JSON.stringify(this.toJSON(), null, 2));
+      await fs.promises.rename(tmp, this.filePath);
+    };
+    const saved = this.saving.then(save, save);
+    this.saving = saved.catch(() => {});
+    return saved;
+  }
+}
+
+module.exports = JsonFileAdapter;
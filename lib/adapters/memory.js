@@ -0,0 +1,408 @@
+const { parseRange, formatRange, columnToLetter } = require('../a1');
+
+// A storage adapter is any object shaped like the part of the Sheets v4
+// client GoogleSheetDB calls:
+//
+//   spreadsheets.get({ spreadsheetId })
+//   spreadsheets.batchUpdate({ spreadsheetId, requestBody: { requests } })
+//   spreadsheets.values.get({ spreadsheetId, range })
+//   spreadsheets.values.batchGet({ spreadsheetId, ranges })
+//   spreadsheets.values.append({ spreadsheetId, range, valueInputOption, resource: { values } })
+//   spreadsheets.values.update({ spreadsheetId, range, valueInputOption, resource: { values } })
+//   spreadsheets.values.clear({ spreadsheetId, range })
+//   spreadsheets.values.batchUpdate({ spreadsheetId, requestBody: { valueInputOption, data: [{ range, values }] } })
+//   spreadsheets.values.batchClear({ spreadsheetId, requestBody: { ranges } })
+//
+// Every call resolves to `{ data }` with the same payload the API returns.
+// MemoryAdapter keeps the tabs in memory, which is enough to run the whole
+// library offline:
+//
+//   const db = new GoogleSheetDB(null, 'test', 'Users', { adapter: new MemoryAdapter() });
+
+const DEFAULT_ROWS = 1000;
+const DEFAULT_COLUMNS = 26;
+
+// Errors look like the ones googleapis throws: a message plus an HTTP code
+function apiError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+// What a cell reads back as. USER_ENTERED drops the apostrophe that keeps
+// text from being interpreted; values are always read back as strings.
+function toCell(value, valueInputOption) {
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+  const text = String(value);
+  if (valueInputOption === 'USER_ENTERED' && text.startsWith("'")) return text.slice(1);
+  return text;
+}
+
+const isBlankRow = row => !row || row.every(cell => cell === '' || cell === undefined);
+
+class MemoryAdapter {
+  // `tabs` seeds the spreadsheet: { Users: [['id', 'name'], ['1', 'Ann']] }
+  constructor(tabs = { Sheet1: [] }) {
+    this._sheets = [];
+    this._nextSheetId = 0;
+    Object.entries(tabs).forEach(([title, values]) => this._addSheet({ title }, values));
+
+    this.spreadsheets = {
+      get: params => this._call(() => this._getSpreadsheet(params)),
+      batchUpdate: params => this._call(() => this._batchUpdate(params), true),
+      values: {
+        get: params => this._call(() => this._getValues(params)),
+        batchGet: params => this._call(() => ({
+          spreadsheetId: params.spreadsheetId,
+          valueRanges: (params.ranges || []).map(range => this._getValues({ range })),
+        })),
+        append: params => this._call(() => this._appendValues(params), true),
+        update: params => this._call(() => this._updateValues(params), true),
+        clear: params => this._call(() => this._clearValues(params), true),
+        batchUpdate: params => this._call(() => this._batchUpdateValues(params), true),
+        batchClear: params => this._call(() => this._batchClearValues(params), true),
+      },
+    };
+  }
+
+  // Every call resolves asynchronously like a network call. Writes are
+  // followed by _persist(), which subclasses use to save the state.
+  async _call(fn, write = false) {
+    const data = fn();
+    if (write) await this._persist();
+    return { data };
+  }
+
+  async _persist() {}
+
+  // Plain snapshot of every tab: { title: [[...row], ...] }
+  toJSON() {
+    const tabs = {};
+    this._sheets.forEach(sheet => {
+      tabs[sheet.properties.title] = sheet.values.map(row => [...row]);
+    });
+    return tabs;
+  }
+
+  _addSheet(properties = {}, values = []) {
+    const title = properties.title || `Sheet${this._sheets.length + 1}`;
+    if (this._findSheet(title)) {
+      throw apiError(400, `Invalid requests[0].addSheet: A sheet with the name "${title}" already exists. Please enter another name.`);
+    }
+    const sheetId = properties.sheetId ?? this._nextSheetId;
+    this._nextSheetId = Math.max(this._nextSheetId, sheetId + 1);
+    const sheet = {
+      properties: { sheetId, title, index: this._sheets.length },
+      values: values.map(row => row.map(cell => toCell(cell))),
+    };
+    this._sheets.push(sheet);
+    return sheet;
+  }
+
+  _findSheet(title) {
+    return this._sheets.find(sheet => sheet.properties.title === title);
+  }
+
+  _sheetForRange(range) {
+    let parsed;
+    try {
+      parsed = parseRange(range);
+    } catch (err) {
+      throw apiError(400, `Unable to parse range: ${range}`);
+    }
+    const sheet = this._findSheet(parsed.sheet);
+    if (!sheet) throw apiError(400, `Unable to parse range: ${range}`);
+    return { sheet, range: parsed };
+  }
+
+  _sheetById(sheetId) {
+    const sheet = this._sheets.find(s => s.properties.sheetId === sheetId);
+    if (!sheet) throw apiError(400, `No grid with id: ${sheetId}`);
+    return sheet;
+  }
+
+  _sheetProperties(sheet) {
+    const columns = sheet.values.reduce((max, row) => Math.max(max, row.length), 0);
+    return {
+      ...sheet.properties,
+      sheetType: 'GRID',
+      gridProperties: {
+        rowCount: Math.max(DEFAULT_ROWS, sheet.values.length),
+        columnCount: Math.max(DEFAULT_COLUMNS, columns),
+      },
+    };
+  }
+
+  _getSpreadsheet({ spreadsheetId }) {
+    return {
+      spreadsheetId,
+      properties: { title: spreadsheetId },
+      sheets: this._sheets.map(sheet => ({ properties: this._sheetProperties(sheet) })),
+    };
+  }
+
+  // Values inside the range with trailing empty rows and cells dropped, the
+  // way the API returns them. `values` is left out when nothing is there.
+  _getValues({ range }) {
+    const { sheet, range: r } = this._sheetForRange(range);
+    const lastRow = r.endRow === null ? sheet.values.length - 1 : r.endRow;
+    const rows = [];
+    for (let i = r.startRow; i <= lastRow && i < sheet.values.length; i++) {
+      const source = sheet.values[i] || [];
+      const lastCol = r.endCol === null ? source.length - 1 : Math.min(r.endCol, source.length - 1);
+      const row = source.slice(r.startCol, lastCol + 1).map(cell => cell ?? '');
+      while (row.length && row[row.length - 1] === '') row.pop();
+      rows.push(row);
+    }
+    while (rows.length && rows[rows.length - 1].length === 0) rows.pop();
+
+    const data = { range: formatRange(sheet.properties.title, r.startRow, r.startCol, r.endRow, r.endCol), majorDimension: 'ROWS' };
+    if (rows.length) data.values = rows;
+    return data;
+  }
+
+  _write(sheet, startRow, startCol, values, valueInputOption) {
+    values.forEach((row, i) => {
+      const target = startRow + i;
+      while (sheet.values.length <= target) sheet.values.push([]);
+      const cells = sheet.values[target];
+      row.forEach((value, j) => {
+        const col = startCol + j;
+        while (cells.length < col) cells.push('');
+        cells[col] = toCell(value, valueInputOption);
+      });
+    });
+  }
+
+  _updateValues({ spreadsheetId, range, valueInputOption, resource, requestBody }) {
+    const values = (requestBody || resource || {}).values || [];
+    const { sheet, range: r } = this._sheetForRange(range);
+    const width = values.reduce((max, row) => Math.max(max, row.length), 0);
+
+    // A bounded range must hold the data; a single cell only anchors it
+    if (!r.single) {
+      if (r.endRow !== null && r.startRow + values.length - 1 > r.endRow) {
+        throw apiError(400, `Requested writing within range [${range}], but tried writing to row [${r.startRow + values.length}]`);
+      }
+      if (r.endCol !== null && r.startCol + width - 1 > r.endCol) {
+        throw apiError(400, `Requested writing within range [${range}], but tried writing to column [${columnToLetter(r.startCol + width - 1)}]`);
+      }
+    }
+
+    this._write(sheet, r.startRow, r.startCol, values, valueInputOption);
+    return {
+      spreadsheetId,
+      updatedRange: formatRange(sheet.properties.title, r.startRow, r.startCol, r.startRow + values.length - 1, r.startCol + Math.max(width, 1) - 1),
+      updatedRows: values.length,
+      updatedColumns: width,
+      updatedCells: values.reduce((n, row) => n + row.length, 0),
+    };
+  }
+
+  // Appends below the last row that has data in the range's columns
+  _appendValues({ spreadsheetId, range, valueInputOption, resource, requestBody }) {
+    const values = (requestBody || resource || {}).values || [];
+    const { sheet, range: r } = this._sheetForRange(range);
+    const lastCol = r.endCol;
+
+    let lastDataRow = r.startRow - 1;
+    for (let i = r.startRow; i < sheet.values.length; i++) {
+      const row = sheet.values[i] || [];
+      const cells = row.slice(r.startCol, lastCol === null ? row.length : lastCol + 1);
+      if (!isBlankRow(cells)) lastDataRow = i;
+    }
+    const startRow = lastDataRow + 1;
+    const width = values.reduce((max, row) => Math.max(max, row.length), 0);
+
+    this._write(sheet, startRow, r.startCol, values, valueInputOption);
+    const title = sheet.properties.title;
+    return {
+      spreadsheetId,
+      tableRange: lastDataRow >= r.startRow
+        ? formatRange(title, r.startRow, r.startCol, lastDataRow, r.startCol + Math.max(width, 1) - 1)
+        : undefined,
+      updates: {
+        updatedRange: formatRange(title, startRow, r.startCol, startRow + values.length - 1, r.startCol + Math.max(width, 1) - 1),
+        updatedRows: values.length,
+        updatedColumns: width,
+        updatedCells: values.reduce((n, row) => n + row.length, 0),
+      },
+    };
+  }
+
+  _clearValues({ range }) {
+    const { sheet, range: r } = this._sheetForRange(range);
+    const lastRow = r.endRow === null ? sheet.values.length - 1 : Math.min(r.endRow, sheet.values.length - 1);
+    for (let i = r.startRow; i <= lastRow; i++) {
+      const row = sheet.values[i] || [];
+      const lastCol = r.endCol === null ? row.length - 1 : Math.min(r.endCol, row.length - 1);
+      for (let j = r.startCol; j <= lastCol; j++) row[j] = '';
+    }
+    return { clearedRange: formatRange(sheet.properties.title, r.startRow, r.startCol, r.endRow, r.endCol) };
+  }
+
+  _batchUpdateValues({ spreadsheetId, requestBody, resource }) {
+    const { valueInputOption, data = [] } = requestBody || resource || {};
+    const responses = data.map(({ range, values }) => this._updateValues({
+      spreadsheetId,
+      range,
+      valueInputOption,
+      resource: { values },
+    }));
+    return {
+      spreadsheetId,
+      totalUpdatedRows: responses.reduce((n, res) => n + res.updatedRows, 0),
+      totalUpdatedCells: responses.reduce((n, res) => n + res.updatedCells, 0),
+      responses,
+    };
+  }
+
+  _batchClearValues({ spreadsheetId, requestBody, resource }) {
+    const { ranges = [] } = requestBody || resource || {};
+    return {
+      spreadsheetId,
+      clearedRanges: ranges.map(range => this._clearValues({ range }).clearedRange),
+    };
+  }
+
+  // Requests run in order; a failing one throws and the ones before it stay
+  // applied (the API rolls back, which an in-memory test rarely needs).
+  _batchUpdate({ requestBody, resource }) {
+    const requests = (requestBody || resource || {}).requests || [];
+    const replies = requests.map((request, i) => {
+      const [type] = Object.keys(request);
+      const handler = this._requestHandlers()[type];
+      if (!handler) throw apiError(400, `Invalid requests[${i}]: MemoryAdapter does not support '${type}'`);
+      return handler(request[type]);
+    });
+    return { replies };
+  }
+
+  _requestHandlers() {
+    return {
+      addSheet: ({ properties = {} }) => {
+        const sheet = this._addSheet(properties);
+        return { addSheet: { properties: this._sheetProperties(sheet) } };
+      },
+      deleteSheet: ({ sheetId }) => {
+        const sheet = this._sheetById(sheetId);
+        this._sheets = this._sheets.filter(s => s !== sheet);
+        this._sheets.forEach((s, index) => { s.properties.index = index; });
+        return {};
+      },
+      duplicateSheet: ({ sourceSheetId, newSheetName, newSheetId }) => {
+        const source = this._sheetById(sourceSheetId);
+        const sheet = this._addSheet({ title: newSheetName || `Copy of ${source.properties.title}`, sheetId: newSheetId }, []);
+        sheet.values = source.values.map(row => [...row]);
+        return { duplicateSheet: { properties: this._sheetProperties(sheet) } };
+      },
+      // Values only; there is no formatting to paste here
+      copyPaste: ({ source, destination }) => {
+        const from = this._sheetById(source.sheetId);
+        const to = this._sheetById(destination.sheetId);
+        const firstRow = source.startRowIndex || 0;
+        const firstCol = source.startColumnIndex || 0;
+        const lastRow = source.endRowIndex ?? from.values.length;
+        const block = from.values.slice(firstRow, lastRow).map(row => {
+          const lastCol = source.endColumnIndex ?? row.length;
+          return row.slice(firstCol, lastCol);
+        });
+        this._write(to, destination.startRowIndex || 0, destination.startColumnIndex || 0, block, 'RAW');
+        return {};
+      },
+      insertDimension: ({ range }) => {
+        const sheet = this._sheetById(range.sheetId);
+        const count = range.endIndex - range.startIndex;
+        if (range.dimension === 'ROWS') {
+          if (range.startIndex < sheet.values.length) {
+            sheet.values.splice(range.startIndex, 0, ...Array.from({ length: count }, () => []));
+          }
+        } else {
+          sheet.values.forEach(row => {
+            if (range.startIndex < row.length) row.splice(range.startIndex, 0, ...Array(count).fill(''));
+          });
+        }
+        return {};
+      },
+      // Tabs have no fixed size here, so there's nothing to add
+      appendDimension: ({ sheetId }) => {
+        this._sheetById(sheetId);
+        return {};
+      },
+      // `destinationIndex` counts from before the source is taken out
+      moveDimension: ({ source, destinationIndex }) => {
+        const sheet = this._sheetById(source.sheetId);
+        const move = (list, blank) => {
+          if (list.length <= Math.min(source.startIndex, destinationIndex)) return;
+          while (list.length < Math.max(source.endIndex, destinationIndex)) list.push(blank());
+          const moved = list.splice(source.startIndex, source.endIndex - source.startIndex);
+          const at = destinationIndex > source.startIndex ? destinationIndex - moved.length : destinationIndex;
+          list.splice(at, 0, ...moved);
+        };
+        if (source.dimension === 'ROWS') {
+          move(sheet.values, () => []);
+        } else {
+          sheet.values.forEach(row => move(row, () => ''));
+        }
+        return {};
+      },
+      updateSheetProperties: ({ properties }) => {
+        const sheet = this._sheetById(properties.sheetId);
+        if (properties.title !== undefined && properties.title !== sheet.properties.title) {
+          if (this._findSheet(properties.title)) {
+            throw apiError(400, `A sheet with the name "${properties.title}" already exists. Please enter another name.`);
+          }
+          sheet.properties.title = properties.title;
+        }
+        if (properties.hidden !== undefined) sheet.properties.hidden = properties.hidden;
+        return {};
+      },
+      // Hiding or resizing rows and columns doesn't change any values
+      updateDimensionProperties: ({ range }) => {
+        this._sheetById(range.sheetId);
+        return {};
+      },
+      deleteDimension: ({ range }) => {
+        const sheet = this._sheetById(range.sheetId);
+        const count = range.endIndex - range.startIndex;
+        if (range.dimension === 'ROWS') {
+          sheet.values.splice(range.startIndex, count);
+        } else {
+          sheet.values.forEach(row => row.splice(range.startIndex, count));
+        }
+        return {};
+      },
+      // Deletes a block of cells; the cells below (ROWS) or to the right
+      // (COLUMNS) of it move into its place
+      deleteRange: ({ range, shiftDimension }) => {
+        const sheet = this._sheetById(range.sheetId);
+        const width = sheet.values.reduce((max, row) => Math.max(max, row.length), 0);
+        const firstRow = range.startRowIndex || 0;
+        const lastRow = Math.min(range.endRowIndex ?? sheet.values.length, sheet.values.length);
+        const firstCol = range.startColumnIndex || 0;
+        const lastCol = range.endColumnIndex ?? width;
+        if (shiftDimension === 'ROWS') {
+          const count = lastRow - firstRow;
+          for (let i = firstRow; i < sheet.values.length; i++) {
+            const row = sheet.values[i];
+            const below = sheet.values[i + count] || [];
+            for (let j = firstCol; j < lastCol && j < Math.max(row.length, below.length); j++) {
+              while (row.length < j) row.push('');
+              row[j] = below[j] ?? '';
+            }
+          }
+        } else {
+          for (let i = firstRow; i < lastRow; i++) {
+            const row = sheet.values[i];
+            if (row.length > firstCol) row.splice(firstCol, lastCol - firstCol);
+          }
+        }
+        return {};
+      },
+    };
+  }
+}
+
+module.exports = MemoryAdapter;
+module.exports.apiError = apiError;
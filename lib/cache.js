@@ -0,0 +1,103 @@
+const { parseRange } = require('./a1');
+
+const DEFAULT_TTL = 30 * 1000;
+
+// Read-through cache around a Sheets client (or storage adapter) with the
+// same shape, so GoogleSheetDB uses it like the client itself.
+// values.get and spreadsheets.get responses are kept for `ttl` ms. Writes go
+// straight to the client and drop the cached reads they could change: value
+// writes drop the written tabs, batchUpdate (rows, columns or tabs changing)
+// drops everything for the spreadsheet. Reads are keyed on all their
+// parameters, so a FORMULA read isn't answered with cached values.
+class SheetsCache {
+  constructor(client, { ttl = DEFAULT_TTL } = {}) {
+    this.client = client;
+    this.ttl = ttl;
+    this.entries = new Map();
+
+    const values = client.spreadsheets.values;
+    this.spreadsheets = {
+      get: params => this._read(`meta|${params.spreadsheetId}|${JSON.stringify(params)}`, null, () => client.spreadsheets.get(params)),
+      batchUpdate: params => this._write(() => client.spreadsheets.batchUpdate(params), params.spreadsheetId, null),
+      values: {
+        get: params => this._read(`values|${params.spreadsheetId}|${JSON.stringify(params)}`, this._sheetOf(params.range), () => values.get(params)),
+        batchGet: params => this._read(
+          `batch|${params.spreadsheetId}|${JSON.stringify(params)}`,
+          this._sheetOfAll(params.ranges || []),
+          () => values.batchGet(params)
+        ),
+        append: params => this._write(() => values.append(params), params.spreadsheetId, [params.range]),
+        update: params => this._write(() => values.update(params), params.spreadsheetId, [params.range]),
+        clear: params => this._write(() => values.clear(params), params.spreadsheetId, [params.range]),
+        batchUpdate: params => this._write(
+          () => values.batchUpdate(params),
+          params.spreadsheetId,
+          ((params.requestBody || params.resource || {}).data || []).map(entry => entry.range)
+        ),
+        batchClear: params => this._write(
+          () => values.batchClear(params),
+          params.spreadsheetId,
+          (params.requestBody || params.resource || {}).ranges || []
+        ),
+      },
+    };
+  }
+
+  _sheetOf(range) {
+    try {
+      return parseRange(range).sheet;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  // The one tab all ranges are on, or null (dropped on any write)
+  _sheetOfAll(ranges) {
+    const sheets = new Set(ranges.map(range => this._sheetOf(range)));
+    return sheets.size === 1 ? [...sheets][0] : null;
+  }
+
+  // Concurrent reads of the same range share one request. Failed requests
+  // aren't cached. Callers get their own copy of the response.
+  async _read(key, sheet, fetch) {
+    const now = Date.now();
+    let entry = this.entries.get(key);
+    if (!entry || entry.expires <= now) {
+      entry = { sheet, expires: now + this.ttl, promise: fetch() };
+      this.entries.set(key, entry);
+      entry.promise.catch(() => {
+        if (this.entries.get(key) === entry) this.entries.delete(key);
+      });
+    }
+    return structuredClone(await entry.promise);
+  }
+
+  // `ranges` null means the write can affect any tab
+  async _write(fn, spreadsheetId, ranges) {
+    try {
+      return await fn();
+    } finally {
+      if (ranges === null) {
+        this.invalidate(spreadsheetId);
+      } else {
+        ranges.forEach(range => this.invalidate(spreadsheetId, this._sheetOf(range)));
+      }
+    }
+  }
+
+  // Drops cached reads of one tab, or of the whole spreadsheet (including
+  // its metadata) when no tab is given
+  invalidate(spreadsheetId, sheet = null) {
+    for (const [key, entry] of this.entries) {
+      const [, id] = key.split('|');
+      if (id !== String(spreadsheetId)) continue;
+      if (sheet === null || entry.sheet === null || entry.sheet === sheet) this.entries.delete(key);
+    }
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+}
+
+module.exports = SheetsCache;
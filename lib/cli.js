@@ -0,0 +1,344 @@
+// The `sheetql` command: runs query() statements from arguments, a .sql file
+// or stdin, or reads them interactively.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const GoogleSheetDB = require('../index');
+const JsonFileAdapter = require('./adapters/jsonFile');
+const { tokenize, splitStatements } = require('./sql/lexer');
+const { cellText, toCSV } = require('./csv');
+
+const USAGE = `Usage: sheetql [options] [statement ...]
+
+Runs SQL statements against a Google Sheet. With no statements, reads them
+from --file, from stdin when it is piped, or interactively.
+
+Options:
+  -c, --credentials <file>  service account JSON key
+                            (default: $SHEETQL_CREDENTIALS or $GOOGLE_APPLICATION_CREDENTIALS)
+  -s, --sheet-id <id>       spreadsheet ID (default: $SHEETQL_SHEET_ID)
+  -t, --table <name>        tab used when a statement doesn't name one (default: Sheet1)
+  -f, --file <file>         run the statements in a .sql file
+  -o, --output <format>     table, json or csv (default: table)
+      --local <file>        use a local JSON file instead of Google Sheets
+  -h, --help                show this help
+`;
+
+const REPL_HELP = `Statements end with a semicolon and may span lines.
+
+  \\tables          list the tabs
+  \\d [table]       show a table's columns
+  \\o [format]      show or set the output format (table, json, csv)
+  \\?               show this help
+  \\q               quit
+`;
+
+const FORMATS = ['table', 'json', 'csv'];
+const PROMPT = 'sheetql> ';
+const CONTINUE_PROMPT = '     -> ';
+const HISTORY_FILE = path.join(os.homedir(), '.sheetql_history');
+const HISTORY_SIZE = 1000;
+
+const FLAGS = {
+  '-c': 'credentials',
+  '--credentials': 'credentials',
+  '-s': 'sheetId',
+  '--sheet-id': 'sheetId',
+  '-t': 'table',
+  '--table': 'table',
+  '-f': 'file',
+  '--file': 'file',
+  '-o': 'output',
+  '--output': 'output',
+  '--local': 'local',
+};
+
+function parseArgs(argv) {
+  const options = { table: 'Sheet1', output: 'table', statements: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '-h' || arg === '--help') {
+      options.help = true;
+    } else if (arg === '--') {
+      options.statements.push(...argv.slice(i + 1));
+      break;
+    } else if (arg.startsWith('-') && arg !== '-') {
+      const [flag, inline] = arg.startsWith('--') ? arg.split(/=(.*)/s) : [arg];
+      const name = FLAGS[flag];
+      if (!name) throw new Error(`Unknown option: ${flag}`);
+      const value = inline !== undefined ? inline : argv[++i];
+      if (value === undefined) throw new Error(`${flag} needs a value`);
+      options[name] = value;
+    } else {
+      options.statements.push(arg);
+    }
+  }
+  if (!FORMATS.includes(options.output)) {
+    throw new Error(`Unknown output format '${options.output}'. Use one of: ${FORMATS.join(', ')}`);
+  }
+  return options;
+}
+
+function createDb(options, env) {
+  if (options.local) {
+    return new GoogleSheetDB(null, options.sheetId || 'local', options.table, {
+      adapter: new JsonFileAdapter(options.local),
+    });
+  }
+
+  const credentialsFile = options.credentials || env.SHEETQL_CREDENTIALS || env.GOOGLE_APPLICATION_CREDENTIALS;
+  if (!credentialsFile) throw new Error('Missing credentials: pass --credentials <file> or set SHEETQL_CREDENTIALS');
+  const sheetId = options.sheetId || env.SHEETQL_SHEET_ID;
+  if (!sheetId) throw new Error('Missing spreadsheet ID: pass --sheet-id <id> or set SHEETQL_SHEET_ID');
+
+  let credentials;
+  try {
+    credentials = JSON.parse(fs.readFileSync(credentialsFile, 'utf8'));
+  } catch (err) {
+    throw new Error(`Could not read credentials from ${credentialsFile}: ${err.message}`);
+  }
+  return new GoogleSheetDB(credentials, sheetId, options.table, { retry: true });
+}
+
+// ---- output ----
+
+// Rows as an aligned text table followed by a row count
+function formatTable(rows, columns) {
+  const cells = rows.map(row => columns.map(column => cellText(row[column]).replace(/\r?\n/g, '\\n')));
+  const widths = columns.map((column, i) => Math.max(column.length, ...cells.map(line => line[i].length)));
+  const line = values => values.map((value, i) => value.padEnd(widths[i])).join(' | ').trimEnd();
+  const count = `(${rows.length} ${rows.length === 1 ? 'row' : 'rows'})`;
+  if (columns.length === 0) return `${count}\n`;
+  return [
+    line(columns),
+    widths.map(width => '-'.repeat(width)).join('-+-'),
+    ...cells.map(line),
+    count,
+  ].join('\n') + '\n';
+}
+
+function columnsOf(rows) {
+  const columns = [];
+  rows.forEach(row => Object.keys(row).forEach(key => {
+    if (!columns.includes(key)) columns.push(key);
+  }));
+  return columns;
+}
+
+// select() rows, or the list a table tool returned, as rows to print.
+// null for other results.
+function resultRows(result) {
+  if (Array.isArray(result)) {
+    return result.map(row => {
+      const { _row, ...values } = row;
+      return values;
+    });
+  }
+  if (result && Array.isArray(result.tables)) return result.tables.map(table => ({ table }));
+  if (result && Array.isArray(result.columns)) return result.columns.map(column => ({ column }));
+  return null;
+}
+
+function formatResult(result, format) {
+  const rows = resultRows(result);
+  if (format === 'json') return `${JSON.stringify(Array.isArray(result) ? rows : result, null, 2)}\n`;
+  if (rows) {
+    const columns = columnsOf(rows);
+    return format === 'csv' ? toCSV(rows, columns) : formatTable(rows, columns);
+  }
+  if (format === 'csv') return `${JSON.stringify(result)}\n`;
+  const { success, message, ...rest } = result || {};
+  if (message) return `${message}\n`;
+  return Object.keys(rest).length ? `OK ${JSON.stringify(rest)}\n` : 'OK\n';
+}
+
+// ---- running statements ----
+
+class Shell {
+  constructor(db, { output = 'table', stdout = process.stdout, stderr = process.stderr } = {}) {
+    this.db = db;
+    this.output = output;
+    this.stdout = stdout;
+    this.stderr = stderr;
+  }
+
+  print(result) {
+    this.stdout.write(formatResult(result, this.output));
+  }
+
+  // Prints the error and returns false when the call fails
+  async run(fn) {
+    try {
+      const result = await fn();
+      if (result && result.success === false) {
+        this.stderr.write(`Error: ${result.error || result.message}\n`);
+        return false;
+      }
+      this.print(result);
+      return true;
+    } catch (err) {
+      this.stderr.write(`Error: ${err.message}\n`);
+      return false;
+    }
+  }
+
+  // Runs each statement of a script, stopping at the first failure
+  async runScript(sql) {
+    let statements;
+    try {
+      statements = splitStatements(sql);
+    } catch (err) {
+      this.stderr.write(`Error: ${err.message}\n`);
+      return false;
+    }
+    for (const statement of statements) {
+      if (!(await this.run(() => this.db.query(statement)))) return false;
+    }
+    return true;
+  }
+
+  // Backslash commands of the REPL. Returns false to quit.
+  async command(line) {
+    const [name, arg] = line.trim().split(/\s+/);
+    switch (name) {
+      case '\\q':
+      case '\\quit':
+        return false;
+      case '\\tables':
+        await this.run(() => this.db.getTables());
+        break;
+      case '\\d':
+        await this.run(() => this.db._withTable(arg).showTableDetail());
+        break;
+      case '\\o':
+        if (!arg) {
+          this.stdout.write(`${this.output}\n`);
+        } else if (FORMATS.includes(arg)) {
+          this.output = arg;
+        } else {
+          this.stderr.write(`Error: unknown output format '${arg}'. Use one of: ${FORMATS.join(', ')}\n`);
+        }
+        break;
+      case '\\?':
+      case '\\h':
+      case '\\help':
+        this.stdout.write(REPL_HELP);
+        break;
+      default:
+        this.stderr.write(`Error: unknown command ${name}. Type \\? for help\n`);
+    }
+    return true;
+  }
+}
+
+// True once the buffered input ends with a semicolon outside any string.
+// Input that doesn't tokenize for another reason counts as complete, so
+// query() reports the error.
+function isComplete(sql) {
+  let tokens;
+  try {
+    tokens = tokenize(sql);
+  } catch (err) {
+    return !/^Unterminated/.test(err.message);
+  }
+  const last = tokens[tokens.length - 2];
+  return !last || (last.type === 'symbol' && last.value === ';');
+}
+
+function loadHistory() {
+  try {
+    return fs.readFileSync(HISTORY_FILE, 'utf8').split('\n').filter(Boolean).reverse().slice(0, HISTORY_SIZE);
+  } catch (err) {
+    return [];
+  }
+}
+
+function saveHistory(history) {
+  try {
+    fs.writeFileSync(HISTORY_FILE, `${history.slice(0, HISTORY_SIZE).reverse().join('\n')}\n`);
+  } catch (err) {
+    // History is a convenience; not being able to write it isn't an error
+  }
+}
+
+async function repl(shell, { stdin, stdout }) {
+  const rl = readline.createInterface({
+    input: stdin,
+    output: stdout,
+    prompt: PROMPT,
+    history: loadHistory(),
+    historySize: HISTORY_SIZE,
+    removeHistoryDuplicates: true,
+  });
+  stdout.write('Type \\? for help, \\q to quit.\n');
+  rl.prompt();
+
+  let buffer = '';
+  for await (const line of rl) {
+    if (!buffer && line.trim().startsWith('\\')) {
+      if (!(await shell.command(line))) break;
+    } else if (buffer || line.trim()) {
+      buffer = buffer ? `${buffer}\n${line}` : line;
+      if (!isComplete(buffer)) {
+        rl.setPrompt(CONTINUE_PROMPT);
+        rl.prompt();
+        continue;
+      }
+      await shell.runScript(buffer);
+      buffer = '';
+    }
+    rl.setPrompt(PROMPT);
+    rl.prompt();
+  }
+  saveHistory(rl.history);
+  rl.close();
+}
+
+async function readStream(stream) {
+  let text = '';
+  stream.setEncoding('utf8');
+  for await (const chunk of stream) text += chunk;
+  return text;
+}
+
+// Resolves to the process exit code
+async function main(argv, io = {}) {
+  const { stdin = process.stdin, stdout = process.stdout, stderr = process.stderr, env = process.env } = io;
+
+  let options;
+  let db;
+  try {
+    options = parseArgs(argv);
+    if (options.help) {
+      stdout.write(USAGE);
+      return 0;
+    }
+    db = createDb(options, env);
+  } catch (err) {
+    stderr.write(`sheetql: ${err.message}\n`);
+    return 2;
+  }
+
+  const shell = new Shell(db, { output: options.output, stdout, stderr });
+  if (options.statements.length) {
+    return (await shell.runScript(options.statements.join(';\n'))) ? 0 : 1;
+  }
+  if (options.file) {
+    let sql;
+    try {
+      sql = await fs.promises.readFile(options.file, 'utf8');
+    } catch (err) {
+      stderr.write(`sheetql: could not read ${options.file}: ${err.message}\n`);
+      return 2;
+    }
+    return (await shell.runScript(sql)) ? 0 : 1;
+  }
+  if (!stdin.isTTY) {
+    return (await shell.runScript(await readStream(stdin))) ? 0 : 1;
+  }
+  await repl(shell, { stdin, stdout });
+  return 0;
+}
+
+module.exports = { main, parseArgs, formatResult };
@@ -0,0 +1,126 @@
+// CSV text (RFC 4180): fields holding the delimiter, quotes or line breaks
+// are quoted, with quotes doubled. Lines end with \r\n. Parsing accepts
+// \r\n, \n or \r line ends and line breaks inside quoted fields.
+
+// A cell value as text: Dates as ISO strings, objects (json columns) as JSON,
+// null/undefined as an empty field
+function cellText(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return isNaN(value) ? '' : value.toISOString();
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+function formatField(value, delimiter = ',') {
+  const text = cellText(value);
+  if (text.includes(delimiter) || /["\r\n]/.test(text)) return `"${text.replace(/"/g, '""')}"`;
+  return text;
+}
+
+// Rows of objects to CSV with a header line. `columns` defaults to the keys
+// of all rows, in the order they first appear.
+function toCSV(rows, columns = null, { delimiter = ',' } = {}) {
+  if (!columns) {
+    columns = [];
+    rows.forEach(row => Object.keys(row).forEach(key => {
+      if (!columns.includes(key)) columns.push(key);
+    }));
+  }
+  const lines = [columns.map(column => formatField(column, delimiter)).join(delimiter)];
+  rows.forEach(row => {
+    lines.push(columns.map(column => formatField(row[column], delimiter)).join(delimiter));
+  });
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+// Incremental parser: push() text as it arrives and get back the records
+// completed so far; end() returns the last one. Blank lines are skipped.
+class CsvParser {
+  constructor({ delimiter = ',' } = {}) {
+    if (typeof delimiter !== 'string' || delimiter.length !== 1 || /["\r\n]/.test(delimiter)) {
+      throw new Error('The CSV delimiter must be a single character other than a quote or line break');
+    }
+    this.delimiter = delimiter;
+    this.record = [];
+    this.field = '';
+    this.quoted = false; // inside a quoted field
+    this.wasQuoted = false; // the current field was quoted (so it isn't blank)
+    this.pendingQuote = false; // saw a quote inside quotes: closing, or the first of ""
+    this.pendingCR = false;
+    this.started = false;
+  }
+
+  push(text) {
+    const records = [];
+    let i = 0;
+    if (!this.started && text.length) {
+      this.started = true;
+      if (text.charCodeAt(0) === 0xfeff) i = 1; // byte order mark
+    }
+    for (; i < text.length; i++) {
+      const ch = text[i];
+      if (this.pendingCR) {
+        this.pendingCR = false;
+        if (ch === '\n') continue;
+      }
+      if (this.pendingQuote) {
+        this.pendingQuote = false;
+        if (ch === '"') {
+          this.field += '"';
+          continue;
+        }
+        this.quoted = false;
+      }
+      if (this.quoted) {
+        if (ch === '"') {
+          this.pendingQuote = true;
+        } else {
+          this.field += ch;
+        }
+      } else if (ch === '"' && this.field === '' && !this.wasQuoted) {
+        this.quoted = true;
+        this.wasQuoted = true;
+      } else if (ch === this.delimiter) {
+        this._endField();
+      } else if (ch === '\n' || ch === '\r') {
+        this.pendingCR = ch === '\r';
+        const record = this._endRecord();
+        if (record) records.push(record);
+      } else {
+        this.field += ch;
+      }
+    }
+    return records;
+  }
+
+  end() {
+    if (this.quoted && !this.pendingQuote) throw new Error('Unterminated quoted field at the end of the CSV');
+    return this._endRecord();
+  }
+
+  _endField() {
+    this.record.push(this.field);
+    this.field = '';
+    this.wasQuoted = false;
+  }
+
+  // The finished record, or null for a blank line
+  _endRecord() {
+    const blank = this.record.length === 0 && this.field === '' && !this.wasQuoted;
+    this._endField();
+    const record = this.record;
+    this.record = [];
+    return blank ? null : record;
+  }
+}
+
+// Records of a whole CSV string
+function parseCSV(text, options = {}) {
+  const parser = new CsvParser(options);
+  const records = parser.push(text);
+  const last = parser.end();
+  if (last) records.push(last);
+  return records;
+}
+
+module.exports = { cellText, formatField, toCSV, CsvParser, parseCSV };
@@ -0,0 +1,49 @@
+// Error types thrown by the library. They all extend Error so existing
+// `catch (err) { err.message }` handling keeps working.
+
+class SqlSyntaxError extends Error {
+  constructor(message, line, column) {
+    super(`${message} (line ${line}, column ${column})`);
+    this.name = 'SqlSyntaxError';
+    this.line = line;
+    this.column = column;
+  }
+}
+
+// A value that doesn't fit the column's declared schema type
+class ValidationError extends Error {
+  constructor(message, column, value) {
+    super(message);
+    this.name = 'ValidationError';
+    this.column = column;
+    this.value = value;
+  }
+}
+
+// A compare-and-set write found a row at another version than expected
+class ConflictError extends Error {
+  constructor(message, row, expectedVersion, actualVersion) {
+    super(message);
+    this.name = 'ConflictError';
+    this.row = row;
+    this.expectedVersion = expectedVersion;
+    this.actualVersion = actualVersion;
+  }
+}
+
+// A write that would break a primary key or unique column
+class ConstraintError extends Error {
+  constructor(message, column, value) {
+    super(message);
+    this.name = 'ConstraintError';
+    this.column = column;
+    this.value = value;
+  }
+}
+
+module.exports = {
+  SqlSyntaxError,
+  ValidationError,
+  ConflictError,
+  ConstraintError,
+};
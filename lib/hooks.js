@@ -0,0 +1,79 @@
+// Hooks run around writes and query() statements, registered with db.on()
+// or db.use(). Each is called with a context object and may be async:
+//
+//   { event, operation, table, data, where, options, result, sql, command }
+//
+// Before hooks can change data/where (or replace them) and cancel the call
+// by returning false or calling context.cancel(reason). After hooks see the
+// result, and may replace it too. A hook that throws fails the call.
+const EVENTS = [
+  'beforeInsert',
+  'afterInsert',
+  'beforeUpdate',
+  'afterUpdate',
+  'beforeDelete',
+  'afterDelete',
+  'beforeQuery',
+];
+
+class Hooks {
+  constructor() {
+    this.handlers = {};
+    EVENTS.forEach(event => { this.handlers[event] = []; });
+  }
+
+  on(event, fn) {
+    if (!EVENTS.includes(event)) throw new Error(`Unknown hook '${event}'. Use one of: ${EVENTS.join(', ')}`);
+    if (typeof fn !== 'function') throw new Error(`The ${event} hook must be a function`);
+    this.handlers[event].push(fn);
+  }
+
+  off(event, fn) {
+    if (!EVENTS.includes(event)) throw new Error(`Unknown hook '${event}'. Use one of: ${EVENTS.join(', ')}`);
+    this.handlers[event] = this.handlers[event].filter(handler => handler !== fn);
+  }
+
+  // A function runs for every event; an object registers its methods named
+  // after events ({ beforeInsert(context) { ... }, afterDelete ... })
+  use(middleware) {
+    if (typeof middleware === 'function') {
+      EVENTS.forEach(event => this.on(event, middleware));
+    } else if (middleware && typeof middleware === 'object') {
+      Object.entries(middleware).forEach(([event, fn]) => this.on(event, fn));
+    } else {
+      throw new Error('use() takes a hook function or an object of hooks');
+    }
+  }
+
+  has(event) {
+    return this.handlers[event].length > 0;
+  }
+
+  // Runs the hooks of `event` in the order they were added. Resolves to
+  // false once one of them cancels.
+  async run(event, context) {
+    context.event = event;
+    for (const fn of [...this.handlers[event]]) {
+      if ((await fn(context)) === false) context.cancel();
+      if (context.cancelled) return false;
+    }
+    return true;
+  }
+}
+
+// Context for one hooked call; `fields` are operation, data, where, ...
+function hookContext(table, fields) {
+  const context = {
+    table,
+    cancelled: false,
+    reason: null,
+    ...fields,
+    cancel(reason = null) {
+      context.cancelled = true;
+      context.reason = reason;
+    },
+  };
+  return context;
+}
+
+module.exports = { Hooks, hookContext, HOOK_EVENTS: EVENTS };
@@ -0,0 +1,176 @@
+// Reading and writing rows as CSV, JSON (one array) or NDJSON (one object per
+// line) for importFrom()/exportTo(). Sources and destinations are file paths
+// or streams.
+const fs = require('fs');
+const path = require('path');
+const { StringDecoder } = require('string_decoder');
+const { CsvParser, formatField } = require('./csv');
+
+const FORMATS = ['csv', 'json', 'ndjson'];
+
+const EXTENSIONS = {
+  '.csv': { format: 'csv' },
+  '.tsv': { format: 'csv', delimiter: '\t' },
+  '.json': { format: 'json' },
+  '.ndjson': { format: 'ndjson' },
+  '.jsonl': { format: 'ndjson' },
+};
+
+// { format, delimiter } from the options, falling back to what a file's
+// extension suggests, then to comma-separated CSV
+function resolveFormat(target, { format, delimiter } = {}) {
+  const byExtension = (typeof target === 'string' && EXTENSIONS[path.extname(target).toLowerCase()]) || {};
+  const resolved = {
+    format: format || byExtension.format || 'csv',
+    delimiter: delimiter || byExtension.delimiter || ',',
+  };
+  if (!FORMATS.includes(resolved.format)) {
+    throw new Error(`Unknown format '${resolved.format}'. Use one of: ${FORMATS.join(', ')}`);
+  }
+  return resolved;
+}
+
+// Text chunks of a file or stream, whether it yields strings or Buffers
+async function* textChunks(source) {
+  const stream = typeof source === 'string' ? fs.createReadStream(source) : source;
+  const decoder = new StringDecoder('utf8');
+  for await (const chunk of stream) {
+    yield typeof chunk === 'string' ? chunk : decoder.write(chunk);
+  }
+  const rest = decoder.end();
+  if (rest) yield rest;
+}
+
+// Row objects of a source, read as it streams in (JSON is parsed whole).
+// CSV takes its keys from the first line.
+async function* readRecords(source, { format, delimiter }) {
+  if (format === 'json') {
+    let text = '';
+    for await (const chunk of textChunks(source)) text += chunk;
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (err) {
+      throw new Error(`Invalid JSON: ${err.message}`);
+    }
+    if (!Array.isArray(data)) throw new Error('JSON imports must be an array of row objects');
+    for (const [index, record] of data.entries()) {
+      if (!record || typeof record !== 'object' || Array.isArray(record)) {
+        throw new Error(`Item ${index + 1} of the JSON array is not an object`);
+      }
+      yield record;
+    }
+    return;
+  }
+
+  if (format === 'ndjson') {
+    let buffer = '';
+    let lineNumber = 0;
+    const parseLine = line => {
+      lineNumber++;
+      if (!line.trim()) return null;
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (err) {
+        throw new Error(`Invalid JSON on line ${lineNumber}: ${err.message}`);
+      }
+      if (!record || typeof record !== 'object' || Array.isArray(record)) {
+        throw new Error(`Line ${lineNumber} is not a JSON object`);
+      }
+      return record;
+    };
+    for await (const chunk of textChunks(source)) {
+      buffer += chunk;
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      for (const line of lines) {
+        const record = parseLine(line);
+        if (record) yield record;
+      }
+    }
+    const record = parseLine(buffer);
+    if (record) yield record;
+    return;
+  }
+
+  const parser = new CsvParser({ delimiter });
+  let header = null;
+  const toObject = fields => {
+    const record = {};
+    header.forEach((column, index) => {
+      record[column] = fields[index] ?? '';
+    });
+    return record;
+  };
+  for await (const chunk of textChunks(source)) {
+    for (const fields of parser.push(chunk)) {
+      if (header) {
+        yield toObject(fields);
+      } else {
+        header = fields.map(field => field.trim());
+      }
+    }
+  }
+  const last = parser.end();
+  if (last) {
+    if (header) {
+      yield toObject(last);
+    } else {
+      header = last;
+    }
+  }
+}
+
+// Writes rows to a file path or a writable stream, waiting whenever the
+// stream asks to. Streams passed in are left open; files are closed.
+async function writeRows(destination, rows, { format, delimiter, columns }) {
+  const ownStream = typeof destination === 'string';
+  const stream = ownStream ? fs.createWriteStream(destination) : destination;
+  let failure = null;
+  const onError = err => { failure = err; };
+  stream.on('error', onError);
+
+  const write = text => new Promise((resolve, reject) => {
+    if (failure) return reject(failure);
+    if (stream.write(text)) return resolve();
+    const done = () => {
+      stream.off('drain', done);
+      stream.off('error', done);
+      return failure ? reject(failure) : resolve();
+    };
+    stream.on('drain', done);
+    stream.on('error', done);
+    return undefined;
+  });
+
+  try {
+    if (format === 'csv') {
+      await write(`${columns.map(column => formatField(column, delimiter)).join(delimiter)}\r\n`);
+      for (const row of rows) {
+        await write(`${columns.map(column => formatField(row[column], delimiter)).join(delimiter)}\r\n`);
+      }
+    } else if (format === 'ndjson') {
+      for (const row of rows) await write(`${JSON.stringify(row)}\n`);
+    } else {
+      await write('[');
+      for (const [index, row] of rows.entries()) {
+        await write(`${index ? ',' : ''}\n  ${JSON.stringify(row)}`);
+      }
+      await write(rows.length ? '\n]\n' : ']\n');
+    }
+
+    if (ownStream) {
+      await new Promise((resolve, reject) => {
+        stream.end(err => (err || failure ? reject(err || failure) : resolve()));
+      });
+    }
+    if (failure) throw failure;
+  } finally {
+    stream.off('error', onError);
+    if (ownStream && !stream.writableFinished) stream.destroy();
+  }
+  return rows.length;
+}
+
+module.exports = { resolveFormat, readRecords, writeRows };
@@ -0,0 +1,131 @@
+// Runs schema migrations in order and remembers which ones ran in a hidden
+// tab of the spreadsheet (`_migrations` unless told otherwise), so every
+// spreadsheet the same migrations run against ends up with the same schema.
+//
+//   const migrator = new Migrator(db, [
+//     { id: '001-add-email', up: db => db.addColumn('email'), down: db => db.dropColumn('email') },
+//   ]);
+//   await migrator.up();
+//
+// up() and down() get the GoogleSheetDB the migrator was made with. They may
+// return a table-method result; { success: false } fails the migration.
+const DEFAULT_TABLE = '_migrations';
+
+class Migrator {
+  constructor(db, migrations = [], { table = DEFAULT_TABLE } = {}) {
+    const ids = new Set();
+    migrations.forEach(migration => {
+      if (!migration || !migration.id) throw new Error('Every migration needs an id');
+      if (ids.has(migration.id)) throw new Error(`Duplicate migration id: ${migration.id}`);
+      if (typeof migration.up !== 'function') throw new Error(`Migration ${migration.id} has no up()`);
+      ids.add(migration.id);
+    });
+
+    this.db = db;
+    this.migrations = migrations;
+    // The log is a plain table: no version, id, timestamp or deleted_at
+    // columns, whatever `db` uses
+    this.log = db._withTable(table);
+    if (this.log === db) throw new Error(`The migrations table can't be the table being migrated`);
+    this.log.versionColumn = null;
+    this.log.idColumn = null;
+    this.log.createdAtColumn = null;
+    this.log.updatedAtColumn = null;
+    this.log.deletedAtColumn = null;
+    // Strings, so ids like "001" and the timestamps aren't turned into
+    // numbers and dates by the sheet
+    this.log.defineSchema({ id: { type: 'string', primaryKey: true }, applied_at: 'string' });
+  }
+
+  // Creates the log tab (hidden) the first time
+  async _ensureLog() {
+    const metadata = await this.log.sheets.spreadsheets.get({ spreadsheetId: this.log.sheetId });
+    if (metadata.data.sheets.some(sheet => sheet.properties.title === this.log.sheetName)) return;
+
+    const result = await this.log.createTable(['id', 'applied_at']);
+    if (!result.success) throw new Error(`Could not create ${this.log.sheetName}: ${result.error}`);
+    const sheetTabId = await this.log._getSheetTabId();
+    await this.log.sheets.spreadsheets.batchUpdate({
+      spreadsheetId: this.log.sheetId,
+      requestBody: {
+        requests: [
+          {
+            updateSheetProperties: {
+              properties: { sheetId: sheetTabId, hidden: true },
+              fields: 'hidden',
+            },
+          },
+        ],
+      },
+    });
+  }
+
+  // Applied migrations as { id, applied_at }, oldest first
+  async _applied() {
+    await this._ensureLog();
+    const rows = await this.log.select({}, { skipEmpty: true });
+    return rows.map(({ id, applied_at }) => ({ id, applied_at }));
+  }
+
+  // Every known migration with whether (and when) it was applied
+  async status() {
+    const applied = new Map((await this._applied()).map(row => [row.id, row.applied_at]));
+    return this.migrations.map(({ id }) => ({
+      id,
+      applied: applied.has(id),
+      appliedAt: applied.get(id) || null,
+    }));
+  }
+
+  async _run(migration, direction) {
+    let result;
+    try {
+      result = await migration[direction](this.db);
+    } catch (err) {
+      throw new Error(`Migration ${migration.id} (${direction}) failed: ${err.message}`);
+    }
+    if (result && result.success === false) {
+      throw new Error(`Migration ${migration.id} (${direction}) failed: ${result.error || result.message}`);
+    }
+  }
+
+  // Runs pending migrations in order, up to and including `to` when given.
+  // Stops at the first failure; the ones before it stay applied.
+  async up({ to } = {}) {
+    if (to !== undefined && !this.migrations.some(m => m.id === to)) throw new Error(`Unknown migration: ${to}`);
+    const applied = new Set((await this._applied()).map(row => row.id));
+    const ran = [];
+    for (const migration of this.migrations) {
+      if (!applied.has(migration.id)) {
+        await this._run(migration, 'up');
+        await this.log.insertOne({ id: migration.id, applied_at: new Date().toISOString() });
+        ran.push(migration.id);
+      }
+      if (migration.id === to) break;
+    }
+    return { success: true, applied: ran };
+  }
+
+  // Rolls back the last `steps` applied migrations (1 by default), newest
+  // first, or every migration applied after `to`
+  async down({ steps = 1, to } = {}) {
+    if (to !== undefined && !this.migrations.some(m => m.id === to)) throw new Error(`Unknown migration: ${to}`);
+    const applied = new Set((await this._applied()).map(row => row.id));
+    const known = this.migrations.filter(m => applied.has(m.id));
+    const stop = to === undefined ? -1 : this.migrations.findIndex(m => m.id === to);
+    const targets = to === undefined
+      ? known.slice(known.length - Math.min(steps, known.length)).reverse()
+      : known.filter(m => this.migrations.indexOf(m) > stop).reverse();
+
+    const reverted = [];
+    for (const migration of targets) {
+      if (typeof migration.down !== 'function') throw new Error(`Migration ${migration.id} has no down()`);
+      await this._run(migration, 'down');
+      await this.log.delete({ id: migration.id }, { mode: 'remove' });
+      reverted.push(migration.id);
+    }
+    return { success: true, reverted };
+  }
+}
+
+module.exports = Migrator;
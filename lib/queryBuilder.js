@@ -0,0 +1,375 @@
+// Chainable queries over one tab, started with db.table(name):
+//
+//   db.table('orders')
+//     .select('id', 'total')
+//     .where('total', '>', 100)
+//     .orWhere(q => q.where('status', 'rush').whereNotNull('paid_at'))
+//     .orderBy('created_at', 'desc')
+//     .limit(10)
+//     .get();
+//
+// The builder only assembles the where object and options that select(),
+// update() and delete() take; filtering, sorting and paging are theirs.
+// Conditions chain with AND; orWhere starts an OR branch, so
+// a.where().where().orWhere() reads as (a AND b) OR c.
+const { RESERVED } = require('./sql/parser');
+
+// Operators where() accepts, by lowercase name, and the filter op each
+// becomes. `=` is left out: it compiles to plain { column: value } equality.
+const OPERATORS = {
+  '!=': '!=',
+  '<>': '!=',
+  '<': '<',
+  '<=': '<=',
+  '>': '>',
+  '>=': '>=',
+  like: 'like',
+  'not like': 'notLike',
+  notlike: 'notLike',
+  in: 'in',
+  'not in': 'notIn',
+  notin: 'notIn',
+  between: 'between',
+  contains: 'contains',
+  startswith: 'startsWith',
+  endswith: 'endsWith',
+  regex: 'regex',
+  isempty: 'isEmpty',
+  isnotempty: 'isNotEmpty',
+};
+
+// Ops written as `column <op> value` in SQL
+const SQL_COMPARISONS = ['=', '!=', '<', '<=', '>', '>='];
+
+class QueryBuilder {
+  constructor(db) {
+    this.db = db;
+    this.clauses = []; // { or, where } in the order they were added
+    this.fields = null;
+    this.orders = [];
+    this.limitCount = null;
+    this.offsetCount = null;
+    this.isDistinct = false;
+    this.visibility = {};
+  }
+
+  // A copy to branch off from without changing this builder
+  clone() {
+    const copy = new QueryBuilder(this.db);
+    copy.clauses = [...this.clauses];
+    copy.fields = this.fields && [...this.fields];
+    copy.orders = [...this.orders];
+    copy.limitCount = this.limitCount;
+    copy.offsetCount = this.offsetCount;
+    copy.isDistinct = this.isDistinct;
+    copy.visibility = { ...this.visibility };
+    return copy;
+  }
+
+  // ---- building ----
+
+  // select('id', 'total') or select(['id', 'total']); '*' (or nothing) is
+  // every column
+  select(...columns) {
+    const fields = columns.flat();
+    this.fields = fields.length === 0 || fields.includes('*') ? null : fields;
+    return this;
+  }
+
+  distinct() {
+    this.isDistinct = true;
+    return this;
+  }
+
+  // where('age', '>', 30), where('name', 'Ann') for equality, where({ ... })
+  // with a where object, or where(q => q.where(...).orWhere(...)) for a
+  // parenthesized group
+  where(...args) {
+    return this._add(false, this._condition('where', args));
+  }
+
+  orWhere(...args) {
+    return this._add(true, this._condition('orWhere', args));
+  }
+
+  whereNot(...args) {
+    return this._add(false, this._negate(this._condition('whereNot', args)));
+  }
+
+  orWhereNot(...args) {
+    return this._add(true, this._negate(this._condition('orWhereNot', args)));
+  }
+
+  whereIn(column, values) {
+    return this.where(column, 'in', values);
+  }
+
+  whereNotIn(column, values) {
+    return this.where(column, 'not in', values);
+  }
+
+  whereBetween(column, [min, max] = []) {
+    return this.where(column, 'between', [min, max]);
+  }
+
+  // Empty cells (SQL: IS NULL)
+  whereNull(column) {
+    return this.where(column, 'isEmpty');
+  }
+
+  whereNotNull(column) {
+    return this.where(column, 'isNotEmpty');
+  }
+
+  orderBy(column, direction = 'asc') {
+    const dir = String(direction).toLowerCase();
+    if (!['asc', 'desc'].includes(dir)) throw new Error(`Sort direction for '${column}' must be asc or desc`);
+    this.orders.push({ column, direction: dir });
+    return this;
+  }
+
+  limit(count) {
+    this.limitCount = checkCount('limit', count);
+    return this;
+  }
+
+  offset(count) {
+    this.offsetCount = checkCount('offset', count);
+    return this;
+  }
+
+  // Include soft-deleted rows, or only those (see the softDelete option)
+  withDeleted() {
+    this.visibility = { withDeleted: true };
+    return this;
+  }
+
+  onlyDeleted() {
+    this.visibility = { onlyDeleted: true };
+    return this;
+  }
+
+  _add(or, where) {
+    if (where) this.clauses.push({ or, where });
+    return this;
+  }
+
+  // The where object for one where()/orWhere() call, or null for an empty
+  // group
+  _condition(method, args) {
+    const [first] = args;
+    if (typeof first === 'function') {
+      const group = new QueryBuilder(this.db);
+      first(group);
+      const where = group.toWhere();
+      return Object.keys(where).length ? where : null;
+    }
+    if (first && typeof first === 'object' && args.length === 1) {
+      return Object.keys(first).length ? first : null;
+    }
+    if (typeof first !== 'string' || !first) {
+      throw new Error(`${method}() needs a column name, a where object or a callback`);
+    }
+
+    // where('name', 'Ann') is equality; isEmpty/isNotEmpty need no value
+    const unary = args.length === 2 && ['isempty', 'isnotempty'].includes(String(args[1]).toLowerCase());
+    const [column, operator, value] = args.length === 2 && !unary ? [first, '=', args[1]] : args;
+    const name = String(operator).trim().toLowerCase();
+    if (name === '=' || name === '==') {
+      return value === null || value === undefined ? { [column]: { op: 'isEmpty' } } : { [column]: value };
+    }
+    const op = OPERATORS[name];
+    if (!op) throw new Error(`Unknown operator '${operator}' in ${method}('${column}', ...)`);
+    if (op === '!=' && (value === null || value === undefined)) return { [column]: { op: 'isNotEmpty' } };
+    if (['in', 'notIn'].includes(op) && !Array.isArray(value)) {
+      throw new Error(`'${operator}' on '${column}' needs an array of values`);
+    }
+    if (op === 'between' && (!Array.isArray(value) || value.length !== 2)) {
+      throw new Error(`'between' on '${column}' needs a [min, max] pair`);
+    }
+    return op === 'isEmpty' || op === 'isNotEmpty' ? { [column]: { op } } : { [column]: { op, value } };
+  }
+
+  _negate(where) {
+    return where && { $not: where };
+  }
+
+  // ---- compiling ----
+
+  // The where object select()/update()/delete() take
+  toWhere() {
+    const branches = [];
+    this.clauses.forEach(({ or, where }) => {
+      if (or || branches.length === 0) {
+        branches.push([where]);
+      } else {
+        branches[branches.length - 1].push(where);
+      }
+    });
+    const all = wheres => (wheres.length === 1 ? wheres[0] : { $and: wheres });
+    if (branches.length === 0) return {};
+    if (branches.length === 1) return all(branches[0]);
+    return { $or: branches.map(all) };
+  }
+
+  // The select() options: fields, sort, paging and soft-delete visibility
+  toOptions() {
+    const options = { ...this.visibility };
+    if (this.fields) options.selectFields = [...this.fields];
+    if (this.orders.length) options.orderBy = this.orders.map(order => ({ ...order }));
+    if (this.isDistinct) options.distinct = true;
+    if (this.limitCount !== null) options.limit = this.limitCount;
+    if (this.offsetCount !== null) options.offset = this.offsetCount;
+    return options;
+  }
+
+  // The SELECT statement query() would run for this builder. Conditions
+  // SQL can't express (regex, case-sensitive matches, soft-delete
+  // visibility) throw.
+  toSQL() {
+    if (this.visibility.withDeleted || this.visibility.onlyDeleted) {
+      throw new Error('withDeleted()/onlyDeleted() have no SQL equivalent');
+    }
+    const parts = [
+      `SELECT ${this.isDistinct ? 'DISTINCT ' : ''}${this.fields ? this.fields.map(quoteIdentifier).join(', ') : '*'}`,
+      `FROM ${quoteIdentifier(this.db.sheetName)}`,
+    ];
+    const where = this.toWhere();
+    if (Object.keys(where).length) parts.push(`WHERE ${whereToSQL(where).sql}`);
+    if (this.orders.length) {
+      parts.push(`ORDER BY ${this.orders.map(o => `${quoteIdentifier(o.column)} ${o.direction.toUpperCase()}`).join(', ')}`);
+    }
+    if (this.limitCount !== null) parts.push(`LIMIT ${this.limitCount}`);
+    if (this.offsetCount !== null) parts.push(`OFFSET ${this.offsetCount}`);
+    return parts.join(' ');
+  }
+
+  // ---- running ----
+
+  async get() {
+    return this.db.select(this.toWhere(), this.toOptions());
+  }
+
+  // The first matching row, or null
+  async first() {
+    const [row] = await this.db.select(this.toWhere(), { ...this.toOptions(), limit: 1 });
+    return row || null;
+  }
+
+  // Number of matching rows (of rows where `column` isn't empty, when given).
+  // limit/offset don't apply.
+  async count(column = '*') {
+    const [result] = await this.db.select(this.toWhere(), {
+      ...this.visibility,
+      aggregates: [{ fn: 'count', column, as: 'count' }],
+    });
+    return result ? result.count : 0;
+  }
+
+  async update(newData, options = {}) {
+    this._checkWriteScope('update');
+    return this.db.update(this.toWhere(), newData, { ...this.visibility, ...options });
+  }
+
+  async delete(options = {}) {
+    this._checkWriteScope('delete');
+    return this.db.delete(this.toWhere(), { ...this.visibility, ...options });
+  }
+
+  // update()/delete() write every matching row, so a limit, offset or sort
+  // meant to narrow them down would be silently ignored
+  _checkWriteScope(method) {
+    if (this.limitCount !== null || this.offsetCount !== null || this.orders.length) {
+      throw new Error(`${method}() applies to every matching row; remove limit(), offset() and orderBy()`);
+    }
+  }
+}
+
+function checkCount(method, count) {
+  if (!Number.isInteger(count) || count < 0) throw new Error(`${method}() needs a non-negative integer`);
+  return count;
+}
+
+// ---- SQL text ----
+
+function quoteIdentifier(name) {
+  if (/^[A-Za-z_][A-Za-z0-9_]*$/.test(name) && !RESERVED.has(name.toUpperCase())) return name;
+  return `\`${String(name).replace(/`/g, '``')}\``;
+}
+
+function literal(value) {
+  if (value === null || value === undefined) return 'NULL';
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) throw new Error(`${value} can't be written as SQL`);
+    return String(value);
+  }
+  if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+  if (value instanceof Date) return literal(value.toISOString());
+  if (typeof value !== 'string') throw new Error(`${JSON.stringify(value)} can't be written as SQL`);
+  return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "''")}'`;
+}
+
+// LIKE patterns for contains/startsWith/endsWith. SQL has no way to escape
+// % or _, so values holding them can't be written.
+function likePattern(column, value, op) {
+  const text = String(value);
+  if (/[%_]/.test(text)) throw new Error(`'${op}' on '${column}' with % or _ in the value can't be written as SQL`);
+  if (op === 'contains') return `%${text}%`;
+  return op === 'startsWith' ? `${text}%` : `%${text}`;
+}
+
+function conditionToSQL(column, condition) {
+  const name = quoteIdentifier(column);
+  if (condition === null || typeof condition !== 'object' || condition instanceof Date) {
+    return `${name} = ${literal(condition ?? '')}`;
+  }
+  const { op, value, caseSensitive } = condition;
+  if (caseSensitive) throw new Error(`Case-sensitive matching on '${column}' can't be written as SQL`);
+  if (SQL_COMPARISONS.includes(op)) return `${name} ${op} ${literal(value)}`;
+  switch (op) {
+    case 'like':
+    case 'notLike':
+      return `${name} ${op === 'like' ? 'LIKE' : 'NOT LIKE'} ${literal(value)}`;
+    case 'contains':
+    case 'startsWith':
+    case 'endsWith':
+      return `${name} LIKE ${literal(likePattern(column, value, op))}`;
+    case 'in':
+    case 'notIn':
+      if (!Array.isArray(value) || value.length === 0) {
+        throw new Error(`'${op}' on '${column}' needs a non-empty array to be written as SQL`);
+      }
+      return `${name} ${op === 'in' ? 'IN' : 'NOT IN'} (${value.map(literal).join(', ')})`;
+    case 'between':
+      return `${name} BETWEEN ${literal(value[0])} AND ${literal(value[1])}`;
+    case 'isEmpty':
+      return `${name} IS NULL`;
+    case 'isNotEmpty':
+      return `${name} IS NOT NULL`;
+    default:
+      throw new Error(`The '${op}' filter on '${column}' can't be written as SQL`);
+  }
+}
+
+// A where object as SQL, with `or` set when the text is an OR at its top
+// level (and so needs parentheses inside an AND)
+function whereToSQL(where) {
+  const parts = Object.entries(where).flatMap(([key, condition]) => {
+    if (key === '$and') return condition.map(whereToSQL);
+    if (key === '$or') {
+      const branches = condition.map(whereToSQL);
+      if (branches.length === 0) throw new Error('An empty $or group can\'t be written as SQL');
+      if (branches.length === 1) return branches;
+      return [{ sql: branches.map(branch => branch.sql).join(' OR '), or: true }];
+    }
+    if (key === '$not') {
+      const inner = whereToSQL(condition);
+      return [{ sql: `NOT (${inner.sql})`, or: false }];
+    }
+    return [{ sql: conditionToSQL(key, condition), or: false }];
+  }).filter(part => part.sql);
+  if (parts.length === 1) return parts[0];
+  return { sql: parts.map(part => (part.or ? `(${part.sql})` : part.sql)).join(' AND '), or: false };
+}
+
+module.exports = QueryBuilder;
@@ -0,0 +1,137 @@
+// Retries and client-side rate limiting around a Sheets client (or storage
+// adapter), with the same shape as the client.
+
+const RETRY_DEFAULTS = {
+  retries: 5,
+  minDelay: 500,
+  maxDelay: 32 * 1000,
+  factor: 2,
+};
+
+// Sheets' default per-user quotas
+const RATE_LIMIT_DEFAULTS = {
+  readsPerMinute: 60,
+  writesPerMinute: 60,
+};
+
+const RETRYABLE_STATUS = [429, 500, 502, 503, 504];
+const NETWORK_ERRORS = ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE'];
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// HTTP status of a googleapis (gaxios) error, or of an adapter's
+// `{ code }` error
+function statusOf(err) {
+  if (err.response && err.response.status) return err.response.status;
+  return typeof err.code === 'number' ? err.code : Number(err.code) || null;
+}
+
+// Retry-After in ms (seconds or an HTTP date), or null
+function retryAfterOf(err) {
+  const headers = err.response && err.response.headers;
+  const value = headers && (typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after']);
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!isNaN(seconds)) return seconds * 1000;
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Tokens refill continuously up to `perMinute`. Callers reserve a token
+// and wait until it is due, so waiting callers are served in order.
+class TokenBucket {
+  constructor(perMinute) {
+    this.capacity = perMinute;
+    this.tokens = perMinute;
+    this.rate = perMinute / 60000;
+    this.updated = Date.now();
+  }
+
+  // ms the caller has to wait for its token
+  reserve() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.updated) * this.rate);
+    this.updated = now;
+    this.tokens -= 1;
+    return this.tokens >= 0 ? 0 : Math.ceil(-this.tokens / this.rate);
+  }
+}
+
+class RetryingClient {
+  // `retry` and `rateLimit` are option objects, `true` for the defaults, or
+  // false to turn that part off
+  constructor(client, { retry = false, rateLimit = false } = {}) {
+    this.client = client;
+    this.retry = retry ? { ...RETRY_DEFAULTS, ...(retry === true ? {} : retry) } : null;
+    this.buckets = null;
+    if (rateLimit) {
+      const limits = { ...RATE_LIMIT_DEFAULTS, ...(rateLimit === true ? {} : rateLimit) };
+      this.buckets = {
+        read: new TokenBucket(limits.readsPerMinute),
+        write: new TokenBucket(limits.writesPerMinute),
+      };
+    }
+    this.stats = { requests: 0, retries: 0, throttled: 0, throttledMs: 0 };
+
+    // Appends and structural batchUpdates aren't safe to repeat after a
+    // server error (the first attempt may have gone through), so they are
+    // only retried on 429, which means the request was rejected.
+    const values = client.spreadsheets.values;
+    const call = (fn, kind, idempotent) => params => this._run(() => fn(params), kind, idempotent);
+    this.spreadsheets = {
+      get: call(params => client.spreadsheets.get(params), 'read', true),
+      batchUpdate: call(params => client.spreadsheets.batchUpdate(params), 'write', false),
+      values: {
+        get: call(params => values.get(params), 'read', true),
+        batchGet: call(params => values.batchGet(params), 'read', true),
+        append: call(params => values.append(params), 'write', false),
+        update: call(params => values.update(params), 'write', true),
+        clear: call(params => values.clear(params), 'write', true),
+        batchUpdate: call(params => values.batchUpdate(params), 'write', true),
+        batchClear: call(params => values.batchClear(params), 'write', true),
+      },
+    };
+  }
+
+  async _throttle(kind) {
+    if (!this.buckets) return;
+    const wait = this.buckets[kind].reserve();
+    if (wait > 0) {
+      this.stats.throttled += 1;
+      this.stats.throttledMs += wait;
+      await sleep(wait);
+    }
+  }
+
+  _shouldRetry(err, idempotent) {
+    const status = statusOf(err);
+    if (status === 429) return true;
+    if (!idempotent) return false;
+    return RETRYABLE_STATUS.includes(status) || NETWORK_ERRORS.includes(err.code);
+  }
+
+  // Exponential backoff with equal jitter (half the delay fixed, half
+  // random), unless the server said how long to wait
+  _delay(err, attempt) {
+    const retryAfter = retryAfterOf(err);
+    if (retryAfter !== null) return Math.min(retryAfter, this.retry.maxDelay);
+    const ceiling = Math.min(this.retry.maxDelay, this.retry.minDelay * this.retry.factor ** attempt);
+    return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+  }
+
+  async _run(fn, kind, idempotent) {
+    for (let attempt = 0; ; attempt++) {
+      await this._throttle(kind);
+      this.stats.requests += 1;
+      try {
+        return await fn();
+      } catch (err) {
+        if (!this.retry || attempt >= this.retry.retries || !this._shouldRetry(err, idempotent)) throw err;
+        this.stats.retries += 1;
+        await sleep(this._delay(err, attempt));
+      }
+    }
+  }
+}
+
+module.exports = RetryingClient;
@@ -0,0 +1,222 @@
+const { ValidationError } = require('./errors');
+
+const TYPES = ['string', 'integer', 'number', 'boolean', 'date', 'datetime', 'json'];
+
+// SQL type names accepted by CREATE TABLE, mapped to schema types
+const TYPE_ALIASES = {
+  STRING: 'string', TEXT: 'string', VARCHAR: 'string', CHAR: 'string',
+  INTEGER: 'integer', INT: 'integer', BIGINT: 'integer', SMALLINT: 'integer',
+  NUMBER: 'number', NUMERIC: 'number', DECIMAL: 'number', FLOAT: 'number', REAL: 'number', DOUBLE: 'number',
+  BOOLEAN: 'boolean', BOOL: 'boolean',
+  DATE: 'date',
+  DATETIME: 'datetime', TIMESTAMP: 'datetime',
+  JSON: 'json',
+};
+
+const TRUE_WORDS = ['true', '1', 'yes', 'y'];
+const FALSE_WORDS = ['false', '0', 'no', 'n'];
+
+// Accepts `{ age: 'integer', meta: { type: 'json', required: true } }` and
+// returns `{ age: { type: 'integer' }, meta: { type: 'json', required: true } }`.
+// Constraint flags: primaryKey (one column), unique, and autoIncrement
+// (integer/number) or uuid (string) for generated values.
+function normalizeSchema(schema) {
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+    throw new Error('Schema must be an object of { column: type }');
+  }
+  const normalized = {};
+  Object.entries(schema).forEach(([column, def]) => {
+    const spec = typeof def === 'string' ? { type: def } : { ...def };
+    spec.type = String(spec.type || (spec.autoIncrement ? 'integer' : 'string')).toLowerCase();
+    if (!TYPES.includes(spec.type)) {
+      throw new Error(`Unknown type '${spec.type}' for column '${column}'. Use one of: ${TYPES.join(', ')}`);
+    }
+    if (spec.autoIncrement && spec.type !== 'integer' && spec.type !== 'number') {
+      throw new Error(`autoIncrement column '${column}' must be integer or number`);
+    }
+    if (spec.uuid && spec.type !== 'string') {
+      throw new Error(`uuid column '${column}' must be a string`);
+    }
+    normalized[column] = spec;
+  });
+  const keys = Object.keys(normalized).filter(column => normalized[column].primaryKey);
+  if (keys.length > 1) {
+    throw new Error(`Only one primary key column is allowed, got: ${keys.join(', ')}`);
+  }
+  return normalized;
+}
+
+const isEmpty = value => value === undefined || value === null || value === '';
+
+function toBoolean(value) {
+  if (typeof value === 'boolean') return value;
+  const word = String(value).trim().toLowerCase();
+  if (TRUE_WORDS.includes(word)) return true;
+  if (FALSE_WORDS.includes(word)) return false;
+  return undefined;
+}
+
+function toNumber(value) {
+  if (typeof value === 'number') return value;
+  const text = String(value).trim().replace(/,/g, '');
+  return text === '' ? NaN : Number(text);
+}
+
+function toDate(value) {
+  if (value instanceof Date) return value;
+  if (typeof value === 'number') return new Date(value);
+  return new Date(String(value).trim());
+}
+
+// Text that Sheets would turn into a number, date, boolean or formula when
+// written with USER_ENTERED. A leading apostrophe keeps it as typed.
+function needsTextGuard(text) {
+  return /^[=+\-@']/.test(text)
+    || (text.trim() !== '' && !isNaN(text))
+    || /^\d{1,4}[/\-.]\d{1,2}([/\-.]\d{1,4})?/.test(text)
+    || /^(true|false)$/i.test(text);
+}
+
+// Converts a value being written into the cell text for its column type.
+// Throws a ValidationError when the value doesn't fit the type.
+function serializeValue(column, spec, value) {
+  if (isEmpty(value)) {
+    if (spec.required) throw new ValidationError(`Column '${column}' is required`, column, value);
+    return '';
+  }
+
+  const invalid = () => new ValidationError(
+    `Invalid ${spec.type} value for column '${column}': ${JSON.stringify(value)}`,
+    column,
+    value
+  );
+
+  switch (spec.type) {
+    case 'integer':
+    case 'number': {
+      const number = toNumber(value);
+      if (!Number.isFinite(number) || (spec.type === 'integer' && !Number.isInteger(number))) throw invalid();
+      return String(number);
+    }
+    case 'boolean': {
+      const bool = toBoolean(value);
+      if (bool === undefined) throw invalid();
+      return bool ? 'TRUE' : 'FALSE';
+    }
+    case 'date': {
+      if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value.trim())) return value.trim();
+      const date = toDate(value);
+      if (isNaN(date.getTime())) throw invalid();
+      return date.toISOString().slice(0, 10);
+    }
+    case 'datetime': {
+      const date = toDate(value);
+      if (isNaN(date.getTime())) throw invalid();
+      return date.toISOString();
+    }
+    case 'json': {
+      let text;
+      if (typeof value === 'string') {
+        try {
+          JSON.parse(value);
+        } catch (err) {
+          throw invalid();
+        }
+        text = value;
+      } else {
+        text = JSON.stringify(value);
+      }
+      return needsTextGuard(text) ? `'${text}` : text;
+    }
+    default: {
+      const text = String(value);
+      return needsTextGuard(text) ? `'${text}` : text;
+    }
+  }
+}
+
+// Cells kept unchanged in a rewritten row. They were read back as text, so
+// string-like columns need their apostrophe guard again; anything else is
+// written back exactly as it was read.
+function protectValue(spec, value) {
+  if (isEmpty(value)) return '';
+  if (spec.type === 'string' || spec.type === 'json') {
+    const text = String(value);
+    return needsTextGuard(text) ? `'${text}` : text;
+  }
+  return value;
+}
+
+// Cell text to the typed value select() returns. Empty cells of non-string
+// columns come back as null; cells that don't parse are returned as-is.
+function castValue(spec, raw) {
+  if (spec.type === 'string') return raw === undefined || raw === null ? '' : String(raw);
+  if (isEmpty(raw)) return null;
+
+  switch (spec.type) {
+    case 'integer':
+    case 'number': {
+      const number = toNumber(raw);
+      return isNaN(number) ? raw : number;
+    }
+    case 'boolean': {
+      const bool = toBoolean(raw);
+      return bool === undefined ? raw : bool;
+    }
+    case 'date':
+    case 'datetime': {
+      const date = toDate(raw);
+      return isNaN(date.getTime()) ? raw : date;
+    }
+    case 'json':
+      if (typeof raw !== 'string') return raw;
+      try {
+        return JSON.parse(raw);
+      } catch (err) {
+        return raw;
+      }
+    default:
+      return raw;
+  }
+}
+
+// The value filters and sorting compare for a typed column. Numbers and
+// dates compare numerically (empty cells as NaN, so they never match a range),
+// everything else as text.
+function compareValue(spec, value, caseSensitive = false) {
+  switch (spec.type) {
+    case 'integer':
+    case 'number':
+      return isEmpty(value) ? NaN : toNumber(value);
+    case 'boolean': {
+      const bool = isEmpty(value) ? undefined : toBoolean(value);
+      return bool === undefined ? NaN : Number(bool);
+    }
+    case 'date':
+    case 'datetime':
+      return isEmpty(value) ? NaN : toDate(value).getTime();
+    case 'json': {
+      const text = typeof value === 'string' ? value : JSON.stringify(value ?? '');
+      return caseSensitive ? text : text.toLowerCase();
+    }
+    default: {
+      const text = isEmpty(value) ? '' : String(value);
+      return caseSensitive ? text : text.toLowerCase();
+    }
+  }
+}
+
+// CREATE TABLE type name (e.g. VARCHAR, INT) to a schema type
+function typeFromSql(name) {
+  return TYPE_ALIASES[String(name).toUpperCase()] || null;
+}
+
+module.exports = {
+  TYPES,
+  normalizeSchema,
+  serializeValue,
+  protectValue,
+  castValue,
+  compareValue,
+  typeFromSql,
+};
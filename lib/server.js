@@ -0,0 +1,299 @@
+// A small JSON REST API over a GoogleSheetDB, on Node's http module:
+//
+//   GET    /tables                  getTables()
+//   GET    /tables/:name/rows       select() / selectPage(), filtered by the query string
+//   POST   /tables/:name/rows       insertOne() (or insertMany() for an array)
+//   PATCH  /tables/:name/rows/:id   update() of one row
+//   DELETE /tables/:name/rows/:id   delete() of one row
+//   POST   /query                   query() with { "sql": "..." }
+//
+// Rows are addressed by the idColumn on the db's own tab when it has one,
+// otherwise by the tab's primary key.
+const http = require('http');
+const { URL } = require('url');
+const { sqlToCommand } = require('./sql/compiler');
+const { SqlSyntaxError, ValidationError, ConflictError, ConstraintError } = require('./errors');
+
+// Query-string operators: ?age[gt]=30&name[like]=A%. There is no regex:
+// a pattern from any client could keep the event loop busy for seconds.
+const OPERATORS = {
+  eq: '=',
+  ne: '!=',
+  gt: '>',
+  gte: '>=',
+  lt: '<',
+  lte: '<=',
+  contains: 'contains',
+  startsWith: 'startsWith',
+  endsWith: 'endsWith',
+  like: 'like',
+  notLike: 'notLike',
+  in: 'in',
+  notIn: 'notIn',
+  between: 'between',
+  isEmpty: 'isEmpty',
+  isNotEmpty: 'isNotEmpty',
+};
+
+// Operators whose value is a comma-separated list
+const LIST_OPERATORS = ['in', 'notIn', 'between'];
+
+// Query parameters that control paging and shape rather than filter. A
+// column with one of these names can still be filtered with name[eq]=...
+const RESERVED_PARAMS = ['limit', 'offset', 'orderBy', 'fields', 'pageSize', 'cursor', 'mode'];
+
+// SQL operations POST /query allows in read-only mode
+const READ_OPERATIONS = ['select', 'join', 'getTables', 'showTableDetail'];
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+// ?name=Ann&age[gte]=30&age[lt]=40 => { name: 'Ann', $and: [{ age: { op: '>=', value: '30' } }, ...] }
+function whereFromQuery(searchParams) {
+  const where = {};
+  const conditions = [];
+  for (const [key, value] of searchParams) {
+    if (RESERVED_PARAMS.includes(key)) continue;
+    const match = /^(.+)\[(\w+)\]$/.exec(key);
+    if (!match) {
+      conditions.push({ [key]: value });
+      continue;
+    }
+    const [, column, name] = match;
+    const op = OPERATORS[name];
+    if (!op) throw new HttpError(400, `Unknown filter operator '${name}' on '${column}'`);
+    if (!LIST_OPERATORS.includes(op)) {
+      conditions.push({ [column]: { op, value } });
+      continue;
+    }
+    const values = value.split(',');
+    if (op === 'between' && values.length !== 2) {
+      throw new HttpError(400, `${column}[between] needs two comma-separated values`);
+    }
+    conditions.push({ [column]: { op, value: values } });
+  }
+  // Several conditions on one column can't share a key, so those go in $and
+  conditions.forEach(condition => {
+    const [column] = Object.keys(condition);
+    if (column in where) {
+      (where.$and = where.$and || []).push(condition);
+    } else {
+      Object.assign(where, condition);
+    }
+  });
+  return where;
+}
+
+// ?orderBy=age:desc,name&fields=name,age&limit=10&offset=20
+function optionsFromQuery(searchParams) {
+  const options = {};
+  const integer = name => {
+    const value = searchParams.get(name);
+    if (value === null) return undefined;
+    if (!/^\d+$/.test(value)) throw new HttpError(400, `${name} must be a non-negative integer`);
+    return parseInt(value, 10);
+  };
+  const list = name => (searchParams.get(name) || '').split(',').map(item => item.trim()).filter(Boolean);
+
+  if (searchParams.has('orderBy')) {
+    options.orderBy = list('orderBy').map(item => {
+      const [column, direction = 'asc'] = item.split(':');
+      if (!['asc', 'desc'].includes(direction.toLowerCase())) {
+        throw new HttpError(400, `Sort direction for '${column}' must be asc or desc`);
+      }
+      return { column, direction: direction.toLowerCase() };
+    });
+  }
+  if (searchParams.has('fields')) options.selectFields = list('fields');
+  ['limit', 'offset', 'pageSize'].forEach(name => {
+    const value = integer(name);
+    if (value !== undefined) options[name] = value;
+  });
+  if (searchParams.has('cursor')) options.cursor = searchParams.get('cursor');
+  return options;
+}
+
+// Status code for an error thrown while handling a request
+function statusOf(err) {
+  if (err instanceof HttpError) return err.status;
+  if (err instanceof SqlSyntaxError || err instanceof ValidationError) return 400;
+  if (err instanceof ConflictError || err instanceof ConstraintError) return 409;
+  const status = (err.response && err.response.status) || (Number.isInteger(err.code) ? err.code : null);
+  return status >= 400 && status < 500 ? status : 500;
+}
+
+function send(res, status, body) {
+  const text = JSON.stringify(body);
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(text),
+  });
+  res.end(text);
+}
+
+// The JSON request body. A body already parsed by framework middleware
+// (req.body) is used as is.
+async function readBody(req) {
+  if (req.body !== undefined) return req.body;
+  let text = '';
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) throw new HttpError(413, 'Request body too large');
+    text += chunk;
+  }
+  if (!text.trim()) return {};
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    throw new HttpError(400, `Invalid JSON body: ${err.message}`);
+  }
+}
+
+// Runs Connect-style (req, res, next) middleware in order. Resolves to true
+// when all of them called next(), false when one answered the request.
+function runMiddleware(middleware, req, res) {
+  return middleware.reduce((previous, fn) => previous.then(passed => {
+    if (!passed) return false;
+    return new Promise((resolve, reject) => {
+      const next = err => (err ? reject(err) : resolve(true));
+      res.once('finish', () => resolve(false));
+      Promise.resolve(fn(req, res, next)).catch(reject);
+    });
+  }), Promise.resolve(true));
+}
+
+// Middleware accepting `Authorization: Bearer <token>` for any of `tokens`
+function bearerAuth(tokens) {
+  const allowed = [].concat(tokens);
+  return (req, res, next) => {
+    const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+    if (match && allowed.includes(match[1])) return next();
+    res.setHeader('WWW-Authenticate', 'Bearer');
+    return send(res, 401, { error: 'Unauthorized' });
+  };
+}
+
+// A write that a hook cancelled (see db.on()) is refused rather than
+// reported as done
+function written(result) {
+  if (result && result.cancelled) throw new HttpError(403, result.error);
+  return result;
+}
+
+// Where object for the row a URL points at
+function rowWhere(table, id) {
+  if (table.idColumn) return { [table.idColumn]: id };
+  const primaryKey = table._primaryKey();
+  if (primaryKey) return { [primaryKey]: id };
+  throw new HttpError(400, `Rows of '${table.sheetName}' can't be addressed by id: it has no idColumn or primary key`);
+}
+
+// A request listener, usable with http.createServer() or mounted in an
+// Express/Connect app. options.auth is one middleware or an array of them,
+// run before every route; options.readOnly rejects anything that writes.
+function createHandler(db, { auth = [], readOnly = false } = {}) {
+  const middleware = [].concat(auth);
+
+  const routes = async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    let parts;
+    try {
+      parts = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+    } catch (err) {
+      throw new HttpError(400, `Malformed URL: ${req.url}`);
+    }
+    const method = req.method.toUpperCase();
+    const writes = !['GET', 'HEAD'].includes(method);
+
+    if (parts.length === 1 && parts[0] === 'query') {
+      if (method !== 'POST') throw new HttpError(405, 'Use POST for /query');
+      const body = await readBody(req);
+      const sql = body && body.sql;
+      if (typeof sql !== 'string' || !sql.trim()) throw new HttpError(400, 'Body must be { "sql": "..." }');
+      if (readOnly && !READ_OPERATIONS.includes(sqlToCommand(sql).operation)) {
+        throw new HttpError(403, 'The server is read-only');
+      }
+      return send(res, 200, written(await db.query(sql)));
+    }
+
+    if (parts[0] !== 'tables' || parts.length === 2 || parts.length > 4 || (parts.length > 1 && parts[2] !== 'rows')) {
+      throw new HttpError(404, 'Not found');
+    }
+    if (readOnly && writes) throw new HttpError(403, 'The server is read-only');
+
+    if (parts.length === 1) {
+      if (method !== 'GET') throw new HttpError(405, 'Use GET for /tables');
+      return send(res, 200, await db.getTables());
+    }
+
+    const table = db._withTable(parts[1]);
+    if (parts.length === 3) {
+      if (method === 'GET') {
+        const where = whereFromQuery(url.searchParams);
+        const options = optionsFromQuery(url.searchParams);
+        if (options.pageSize !== undefined || options.cursor !== undefined) {
+          try {
+            return send(res, 200, await table.selectPage(where, options));
+          } catch (err) {
+            // Bad cursors and options selectPage can't do are the client's fault
+            throw statusOf(err) === 500 ? new HttpError(400, err.message) : err;
+          }
+        }
+        return send(res, 200, { rows: await table.select(where, options) });
+      }
+      if (method === 'POST') {
+        const body = await readBody(req);
+        if (Array.isArray(body)) return send(res, 201, written(await table.insertMany(body)));
+        if (!body || typeof body !== 'object') throw new HttpError(400, 'Body must be a row object or an array of rows');
+        return send(res, 201, written(await table.insertOne(body)));
+      }
+      throw new HttpError(405, 'Use GET or POST for rows');
+    }
+
+    const where = rowWhere(table, parts[3]);
+    if (method === 'PATCH') {
+      const body = await readBody(req);
+      if (!body || typeof body !== 'object' || Array.isArray(body)) throw new HttpError(400, 'Body must be an object of changes');
+      // If-Match: <version> makes it a compare-and-set write (needs versionColumn)
+      const options = req.headers['if-match'] ? { expectedVersion: req.headers['if-match'].replace(/"/g, '') } : {};
+      const result = written(await table.update(where, body, options));
+      if (result.updatedCount === 0) throw new HttpError(404, `Row ${parts[3]} not found`);
+      return send(res, 200, result);
+    }
+    if (method === 'DELETE') {
+      const mode = url.searchParams.get('mode') || undefined;
+      const result = written(await table.delete(where, { mode }));
+      if (result.deletedCount === 0) throw new HttpError(404, `Row ${parts[3]} not found`);
+      return send(res, 200, result);
+    }
+    throw new HttpError(405, 'Use PATCH or DELETE for a row');
+  };
+
+  return async (req, res) => {
+    try {
+      if (!(await runMiddleware(middleware, req, res))) return;
+      await routes(req, res);
+    } catch (err) {
+      if (res.headersSent) {
+        res.end();
+        return;
+      }
+      send(res, statusOf(err), { error: err.message });
+    }
+  };
+}
+
+// An http.Server around createHandler(); call .listen(port) to start it
+function createServer(db, options = {}) {
+  return http.createServer(createHandler(db, options));
+}
+
+module.exports = { createServer, createHandler, bearerAuth, whereFromQuery, HttpError };
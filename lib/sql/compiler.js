@@ -0,0 +1,383 @@
+const { parse } = require('./parser');
+const { SqlSyntaxError } = require('../errors');
+const { typeFromSql } = require('../schema');
+
+const FLIPPED_OPERATORS = { '<': '>', '>': '<', '<=': '>=', '>=': '<=', '=': '=', '!=': '!=' };
+
+// Turns a parsed SQL statement into the `{ operation, table, args }` command
+// that query() dispatches to select/insert/update/delete. `table` is the tab
+// named in the statement (null when the statement doesn't name one). WHERE
+// clauses become the same `where` objects those methods accept.
+function compile(ast) {
+  switch (ast.type) {
+    case 'createTable':
+      return { operation: 'createTable', table: ast.table, args: { columns: ast.columns.map(columnDefinition) } };
+
+    case 'alterTable':
+      return compileAlter(ast);
+
+    case 'dropTable':
+      return { operation: 'dropTable', table: ast.table, args: {} };
+
+    case 'truncateTable':
+      return { operation: 'truncateTable', table: ast.table, args: {} };
+
+    case 'insert': {
+      const rows = ast.rows.map(values => {
+        const obj = {};
+        ast.columns.forEach((col, index) => {
+          obj[col] = writeValue(values[index]);
+        });
+        return obj;
+      });
+      if (rows.length === 1) return { operation: 'insertOne', table: ast.table, args: { obj: rows[0] } };
+      return { operation: 'insertMany', table: ast.table, args: { rows } };
+    }
+
+    case 'select':
+      if (ast.joins.length) return { operation: 'join', table: ast.from.name, args: compileJoin(ast) };
+      return { operation: 'select', table: ast.from.name, args: compileSelect(ast, singleTableScope(ast.from)) };
+
+    case 'update': {
+      const newData = {};
+      ast.assignments.forEach(({ column, value }) => {
+        newData[column] = writeValue(value);
+      });
+      const scope = singleTableScope({ name: ast.table });
+      return { operation: 'update', table: ast.table, args: { where: compileWhere(ast.where, scope), newData } };
+    }
+
+    case 'delete': {
+      const scope = singleTableScope({ name: ast.table });
+      return { operation: 'delete', table: ast.table, args: { where: compileWhere(ast.where, scope) } };
+    }
+
+    case 'getTables':
+      return { operation: 'getTables', table: null, args: {} };
+
+    case 'showTableDetail':
+      return { operation: 'showTableDetail', table: ast.table, args: {} };
+
+    default:
+      throw new Error(`Unsupported SQL statement: ${ast.type}`);
+  }
+}
+
+// ALTER TABLE => addColumn/dropColumn/renameColumn/moveColumn
+function compileAlter(ast) {
+  switch (ast.action) {
+    case 'addColumn':
+      return { operation: 'addColumn', table: ast.table, args: { column: columnDefinition(ast.column), placement: ast.placement || {} } };
+    case 'dropColumn':
+      return { operation: 'dropColumn', table: ast.table, args: { column: ast.column } };
+    case 'renameColumn':
+      return { operation: 'renameColumn', table: ast.table, args: { from: ast.from, to: ast.to } };
+    case 'moveColumn':
+      return { operation: 'moveColumn', table: ast.table, args: { column: ast.column, placement: ast.placement } };
+    default:
+      throw new Error(`Unsupported ALTER TABLE action: ${ast.action}`);
+  }
+}
+
+// Values written to the sheet. Numbers keep the text they were written with
+// so `1.50` isn't stored as `1.5`; NULL becomes an empty cell.
+function writeValue(literal) {
+  if (literal.value === null) return '';
+  if (typeof literal.value === 'number') return literal.raw;
+  return literal.value;
+}
+
+// CREATE TABLE column => the column name, or a { name, type, ... }
+// definition when it declares a type or constraints
+function columnDefinition(col) {
+  const constraints = ['primaryKey', 'unique', 'autoIncrement'].filter(flag => col[flag]);
+  if (!col.dataType && col.required === undefined && col.default === undefined && !constraints.length) return col.name;
+  const def = { name: col.name, type: col.autoIncrement ? 'integer' : 'string' };
+  if (col.dataType) {
+    def.type = typeFromSql(col.dataType.name);
+    if (!def.type) {
+      throw new SqlSyntaxError(`Unknown column type '${col.dataType.name}'`, col.dataType.line, col.dataType.column);
+    }
+  }
+  if (col.required) def.required = true;
+  if (col.default !== undefined) def.default = literalValue(col.default);
+  constraints.forEach(flag => { def[flag] = true; });
+  return def;
+}
+
+// A scope decides which row key a column reference reads. Single-table
+// statements accept `col` or `table.col` (or `alias.col`) and read `col`.
+function singleTableScope(from) {
+  const qualifier = from.alias || from.name;
+  return {
+    column(node) {
+      if (node.table && node.table !== qualifier) {
+        throw new SqlSyntaxError(`Unknown table or alias '${node.table}'`, node.line, node.column);
+      }
+      return node.name;
+    },
+    star(node) {
+      if (node.table && node.table !== qualifier) {
+        throw new SqlSyntaxError(`Unknown table or alias '${node.table}'`, node.line, node.column);
+      }
+      return null;
+    },
+  };
+}
+
+// In a join every row carries `alias.col` keys, plus plain `col` keys for
+// columns that only one of the joined tables has (see _selectJoin).
+function joinScope(sources) {
+  const aliases = new Set();
+  sources.forEach(src => {
+    const alias = src.alias || src.name;
+    if (aliases.has(alias)) {
+      throw new SqlSyntaxError(`Table or alias '${alias}' is used more than once; give it a distinct alias`, src.line, src.column);
+    }
+    aliases.add(alias);
+  });
+  const checkAlias = node => {
+    if (!aliases.has(node.table)) {
+      throw new SqlSyntaxError(`Unknown table or alias '${node.table}'`, node.line, node.column);
+    }
+  };
+  return {
+    column(node) {
+      if (!node.table) return node.name;
+      checkAlias(node);
+      return `${node.table}.${node.name}`;
+    },
+    star(node) {
+      if (!node.table) return '*';
+      checkAlias(node);
+      return `${node.table}.*`;
+    },
+  };
+}
+
+function compileSelect(ast, scope) {
+  const where = compileWhere(ast.where, scope);
+  const options = {};
+  const column = node => resolveColumn(node, scope);
+  const isAggregate = ast.groupBy.length > 0 || ast.columns.some(col => col.type === 'aggregate');
+
+  if (!isAggregate) {
+    ast.columns.forEach(col => {
+      if (col.alias) {
+        throw new SqlSyntaxError('Aliases are only supported on aggregate functions', col.line, col.column);
+      }
+    });
+    if (ast.having) throw new SqlSyntaxError('HAVING needs GROUP BY or an aggregate function', ast.having.line, ast.having.column);
+    const fields = ast.columns.map(col => (col.type === 'star' ? scope.star(col) : column(col)));
+    if (!fields.includes(null)) {
+      options.selectFields = fields;
+    }
+    if (ast.orderBy.length) {
+      options.orderBy = ast.orderBy.map(order => {
+        if (order.column.type === 'aggregate') {
+          throw new SqlSyntaxError('Aggregate functions in ORDER BY need GROUP BY or an aggregate function in SELECT', order.column.line, order.column.column);
+        }
+        return { column: column(order.column), direction: order.direction };
+      });
+    }
+  } else {
+    const groupBy = ast.groupBy.map(column);
+    const aggregates = [];
+    const outputs = [];
+
+    // Every aggregate gets a name: its alias, or the expression as written
+    // (e.g. "COUNT(*)"). HAVING/ORDER BY can refer to it either way, and
+    // aggregates used only there are computed but left out of the result.
+    const aggregateName = node => {
+      const text = aggregateText(node);
+      const existing = aggregates.find(agg => agg.text === text);
+      if (existing) return existing.as;
+      const agg = {
+        fn: node.fn.toLowerCase(),
+        column: node.arg.type === 'star' ? '*' : column(node.arg),
+        distinct: node.distinct,
+        as: node.alias || text,
+        text,
+      };
+      aggregates.push(agg);
+      return agg.as;
+    };
+    const resolve = node => (node.type === 'aggregate' ? aggregateName(node) : column(node));
+
+    ast.columns.forEach(col => {
+      if (col.type === 'star') {
+        throw new SqlSyntaxError('SELECT * cannot be combined with GROUP BY or aggregate functions', col.line, col.column);
+      }
+      if (col.type === 'column') {
+        if (col.alias) {
+          throw new SqlSyntaxError('Aliases are only supported on aggregate functions', col.line, col.column);
+        }
+        const name = column(col);
+        if (!groupBy.includes(name)) {
+          throw new SqlSyntaxError(`Column '${col.name}' must appear in GROUP BY or be used in an aggregate function`, col.line, col.column);
+        }
+        outputs.push(name);
+      } else {
+        outputs.push(aggregateName(col));
+      }
+    });
+
+    if (ast.having) options.having = compileExpression(ast.having, resolve);
+    if (ast.orderBy.length) {
+      options.orderBy = ast.orderBy.map(order => ({ column: resolve(order.column), direction: order.direction }));
+    }
+
+    options.groupBy = groupBy;
+    options.aggregates = aggregates.map(({ text, ...agg }) => agg);
+    options.selectFields = outputs;
+  }
+
+  if (ast.distinct) options.distinct = true;
+  if (ast.limit !== null) options.limit = ast.limit;
+  if (ast.offset !== null) options.offset = ast.offset;
+  return { where, options };
+}
+
+// SELECT ... FROM a JOIN b ON a.x = b.y => the tables to read, how to match
+// their rows, and the usual where/options applied to the joined rows.
+function compileJoin(ast) {
+  const scope = joinScope([ast.from, ...ast.joins]);
+  const seen = [ast.from.alias || ast.from.name];
+
+  const joins = ast.joins.map(join => {
+    const alias = join.alias || join.name;
+    const on = flatten(join.on, 'AND').map(cond => {
+      if (cond.type !== 'comparison' || cond.op !== '=' || cond.left.type !== 'column' || cond.right.type !== 'column') {
+        throw new SqlSyntaxError('JOIN ... ON only supports column = column conditions combined with AND', cond.line, cond.column);
+      }
+      [cond.left, cond.right].forEach(side => {
+        if (!side.table) {
+          throw new SqlSyntaxError(`Qualify '${side.name}' in the ON clause with its table name or alias`, side.line, side.column);
+        }
+        scope.column(side);
+      });
+      // Orient each condition as [earlier table column, joined table column]
+      let [left, right] = [cond.left, cond.right];
+      if (left.table === alias) [left, right] = [right, left];
+      if (right.table !== alias || !seen.includes(left.table)) {
+        throw new SqlSyntaxError(`ON must compare a column of '${alias}' with a column of a table joined before it`, cond.line, cond.column);
+      }
+      return [scope.column(left), scope.column(right)];
+    });
+    seen.push(alias);
+    return { kind: join.kind, table: join.name, alias, on };
+  });
+
+  return {
+    from: { table: ast.from.name, alias: ast.from.alias || ast.from.name },
+    joins,
+    ...compileSelect(ast, scope),
+  };
+}
+
+function resolveColumn(node, scope) {
+  if (node.type === 'aggregate') {
+    throw new SqlSyntaxError('Aggregate functions are only allowed in SELECT, HAVING and ORDER BY', node.line, node.column);
+  }
+  return scope.column(node);
+}
+
+// COUNT(DISTINCT region) => "COUNT(DISTINCT region)"
+function aggregateText(node) {
+  const arg = node.arg.type === 'star' ? '*' : [node.arg.table, node.arg.name].filter(Boolean).join('.');
+  return `${node.fn}(${node.distinct ? 'DISTINCT ' : ''}${arg})`;
+}
+
+function compileWhere(expr, scope) {
+  if (!expr) return {};
+  return compileExpression(expr, node => resolveColumn(node, scope));
+}
+
+// `resolve` maps an operand node to the row key it reads. In WHERE that's
+// only plain columns; HAVING also resolves aggregates to their result names.
+function compileExpression(expr, resolve) {
+  const compile = sub => compileExpression(sub, resolve);
+  const columnName = node => {
+    if (node.type === 'literal') {
+      throw new SqlSyntaxError('Expected a column name on one side of the condition', node.line, node.column);
+    }
+    return resolve(node);
+  };
+
+  switch (expr.type) {
+    case 'logical':
+      return expr.op === 'AND'
+        ? mergeConjuncts(flatten(expr, 'AND').map(compile))
+        : { $or: flatten(expr, 'OR').map(compile) };
+
+    case 'not':
+      return { $not: compile(expr.expr) };
+
+    case 'comparison': {
+      let { op, left, right } = expr;
+      if (left.type === 'literal' && right.type !== 'literal') {
+        [left, right] = [right, left];
+        op = FLIPPED_OPERATORS[op];
+      }
+      const column = columnName(left);
+      const value = literalValue(right);
+      // Plain equality keeps the original `{ col: value }` exact-match semantics
+      if (op === '=') return { [column]: value };
+      return { [column]: { op, value } };
+    }
+
+    case 'like':
+      return { [columnName(expr.left)]: { op: expr.negated ? 'notLike' : 'like', value: literalValue(expr.pattern) } };
+
+    case 'in':
+      return { [columnName(expr.left)]: { op: expr.negated ? 'notIn' : 'in', value: expr.values.map(literalValue) } };
+
+    case 'between': {
+      const condition = { [columnName(expr.left)]: { op: 'between', value: [literalValue(expr.low), literalValue(expr.high)] } };
+      return expr.negated ? { $not: condition } : condition;
+    }
+
+    case 'isNull':
+      return { [columnName(expr.left)]: { op: expr.negated ? 'isNotEmpty' : 'isEmpty' } };
+
+    default:
+      throw new Error(`Unsupported expression: ${expr.type}`);
+  }
+}
+
+// a AND (b AND c) => [a, b, c]
+function flatten(expr, op) {
+  if (expr.type !== 'logical' || expr.op !== op) return [expr];
+  return [...flatten(expr.left, op), ...flatten(expr.right, op)];
+}
+
+// Merges ANDed conditions into a single where object. Conditions that would
+// overwrite an existing key (e.g. `age > 1 AND age < 5`) go into `$and`.
+function mergeConjuncts(conditions) {
+  const merged = {};
+  const rest = [];
+  for (const condition of conditions) {
+    const keys = Object.keys(condition);
+    if (keys.some(key => key in merged)) {
+      rest.push(condition);
+    } else {
+      Object.assign(merged, condition);
+    }
+  }
+  if (rest.length) merged.$and = [...(merged.$and || []), ...rest];
+  return merged;
+}
+
+function literalValue(node) {
+  if (node.type !== 'literal') {
+    const name = node.type === 'aggregate' ? aggregateText(node) : `column '${node.name}'`;
+    throw new SqlSyntaxError(`Comparing ${name} to another column is not supported`, node.line, node.column);
+  }
+  return node.value === null ? '' : node.value;
+}
+
+function sqlToCommand(sql) {
+  return compile(parse(sql));
+}
+
+module.exports = { compile, sqlToCommand };
@@ -0,0 +1,160 @@
+const { SqlSyntaxError } = require('../errors');
+
+// Multi-character symbols must come before their single-character prefixes.
+const SYMBOLS = ['<=', '>=', '<>', '!=', '=', '<', '>', ',', '(', ')', '*', '.', ';', '-'];
+
+// Splits a SQL string into tokens. Every token records the line and column it
+// starts at so the parser can point at the exact spot of a syntax error.
+//
+// Token types:
+//   word       - bare keyword or identifier (keyword matching is done by the parser)
+//   identifier - `backtick quoted` identifier
+//   string     - 'single' or "double" quoted string, quotes doubled or backslash-escaped
+//   number     - integer or decimal literal
+//   symbol     - operators and punctuation
+//   eof        - end of input
+//
+// `offset` is the token's position in the string.
+function tokenize(sql) {
+  const tokens = [];
+  let pos = 0;
+  let line = 1;
+  let column = 1;
+
+  const advance = count => {
+    for (let i = 0; i < count; i++) {
+      if (sql[pos] === '\n') {
+        line++;
+        column = 1;
+      } else {
+        column++;
+      }
+      pos++;
+    }
+  };
+
+  while (pos < sql.length) {
+    const ch = sql[pos];
+
+    // Whitespace
+    if (/\s/.test(ch)) {
+      advance(1);
+      continue;
+    }
+
+    // Line comments: -- comment
+    if (ch === '-' && sql[pos + 1] === '-') {
+      while (pos < sql.length && sql[pos] !== '\n') advance(1);
+      continue;
+    }
+
+    const start = { line, column, offset: pos };
+
+    // Quoted strings
+    if (ch === "'" || ch === '"') {
+      advance(1);
+      let value = '';
+      let closed = false;
+      while (pos < sql.length) {
+        const c = sql[pos];
+        if (c === '\\' && pos + 1 < sql.length) {
+          const next = sql[pos + 1];
+          value += next === 'n' ? '\n' : next === 't' ? '\t' : next;
+          advance(2);
+          continue;
+        }
+        if (c === ch) {
+          // A doubled quote ('it''s') is an escaped quote
+          if (sql[pos + 1] === ch) {
+            value += ch;
+            advance(2);
+            continue;
+          }
+          advance(1);
+          closed = true;
+          break;
+        }
+        value += c;
+        advance(1);
+      }
+      if (!closed) throw new SqlSyntaxError('Unterminated string literal', start.line, start.column);
+      tokens.push({ type: 'string', value, ...start });
+      continue;
+    }
+
+    // Backtick quoted identifiers
+    if (ch === '`') {
+      advance(1);
+      let value = '';
+      let closed = false;
+      while (pos < sql.length) {
+        if (sql[pos] === '`') {
+          if (sql[pos + 1] === '`') {
+            value += '`';
+            advance(2);
+            continue;
+          }
+          advance(1);
+          closed = true;
+          break;
+        }
+        value += sql[pos];
+        advance(1);
+      }
+      if (!closed) throw new SqlSyntaxError('Unterminated quoted identifier', start.line, start.column);
+      tokens.push({ type: 'identifier', value, ...start });
+      continue;
+    }
+
+    // Numbers
+    const numberMatch = /^(\d+(\.\d+)?|\.\d+)([eE][+-]?\d+)?/.exec(sql.slice(pos));
+    if (numberMatch) {
+      const raw = numberMatch[0];
+      tokens.push({ type: 'number', value: parseFloat(raw), raw, ...start });
+      advance(raw.length);
+      continue;
+    }
+
+    // Keywords and bare identifiers
+    const wordMatch = /^[\p{L}_][\p{L}\p{N}_$]*/u.exec(sql.slice(pos));
+    if (wordMatch) {
+      const raw = wordMatch[0];
+      tokens.push({ type: 'word', value: raw, upper: raw.toUpperCase(), ...start });
+      advance(raw.length);
+      continue;
+    }
+
+    const symbol = SYMBOLS.find(s => sql.startsWith(s, pos));
+    if (symbol) {
+      tokens.push({ type: 'symbol', value: symbol, ...start });
+      advance(symbol.length);
+      continue;
+    }
+
+    throw new SqlSyntaxError(`Unexpected character '${ch}'`, line, column);
+  }
+
+  tokens.push({ type: 'eof', value: null, line, column, offset: pos });
+  return tokens;
+}
+
+// Splits a script into its statements at semicolons, skipping ones inside
+// strings, quoted identifiers and comments. Statements are returned without
+// the semicolon; empty ones are dropped.
+function splitStatements(sql) {
+  const statements = [];
+  let start = 0;
+  let empty = true;
+  tokenize(sql).forEach(token => {
+    if (token.type === 'eof' || (token.type === 'symbol' && token.value === ';')) {
+      if (!empty) statements.push(sql.slice(start, token.offset).trim());
+      start = token.offset + 1;
+      empty = true;
+    } else {
+      empty = false;
+    }
+  });
+  return statements;
+}
+
+module.exports = { tokenize, splitStatements };
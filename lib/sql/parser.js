@@ -0,0 +1,560 @@
+const { tokenize } = require('./lexer');
+const { SqlSyntaxError } = require('../errors');
+
+// Words that can't be used as bare column or table names. Quote them with
+// backticks to use them anyway (e.g. `order`).
+const RESERVED = new Set([
+  'SELECT', 'DISTINCT', 'FROM', 'WHERE', 'AND', 'OR', 'NOT', 'LIKE', 'IN', 'BETWEEN',
+  'IS', 'NULL', 'TRUE', 'FALSE', 'ORDER', 'BY', 'ASC', 'DESC', 'LIMIT', 'OFFSET',
+  'INSERT', 'INTO', 'VALUES', 'UPDATE', 'SET', 'DELETE', 'CREATE', 'DROP',
+  'TRUNCATE', 'TABLE', 'AS', 'GROUP', 'HAVING', 'JOIN', 'INNER', 'LEFT', 'OUTER', 'ON', 'DEFAULT',
+  'PRIMARY', 'UNIQUE', 'AUTO_INCREMENT', 'AUTOINCREMENT',
+]);
+
+// Words that end a column definition in ALTER TABLE ... ADD, so they aren't
+// read as its type
+const PLACEMENT_KEYWORDS = ['FIRST', 'AFTER'];
+
+const AGGREGATE_FUNCTIONS = ['COUNT', 'SUM', 'AVG', 'MIN', 'MAX'];
+
+const COMPARISON_OPERATORS = ['=', '!=', '<>', '<', '<=', '>', '>='];
+
+// Recursive-descent parser producing a plain-object AST:
+//
+//   parse("SELECT name FROM users WHERE age > 30 OR name LIKE 'A%'")
+//   => { type: 'select', columns: [...], from: { name: 'users' }, where: { type: 'logical', ... }, ... }
+//
+// Expression precedence, lowest first: OR, AND, NOT, predicates
+// (comparison, LIKE, IN, BETWEEN, IS NULL), operands.
+class Parser {
+  constructor(sql) {
+    this.tokens = tokenize(sql);
+    this.pos = 0;
+  }
+
+  // ---- token helpers ----
+
+  peek(offset = 0) {
+    return this.tokens[Math.min(this.pos + offset, this.tokens.length - 1)];
+  }
+
+  next() {
+    const token = this.peek();
+    if (token.type !== 'eof') this.pos++;
+    return token;
+  }
+
+  isKeyword(keyword, offset = 0) {
+    const token = this.peek(offset);
+    return token.type === 'word' && token.upper === keyword;
+  }
+
+  acceptKeyword(keyword) {
+    if (this.isKeyword(keyword)) return this.next();
+    return null;
+  }
+
+  expectKeyword(keyword) {
+    if (!this.isKeyword(keyword)) this.fail(`Expected ${keyword}`);
+    return this.next();
+  }
+
+  isSymbol(symbol, offset = 0) {
+    const token = this.peek(offset);
+    return token.type === 'symbol' && token.value === symbol;
+  }
+
+  acceptSymbol(symbol) {
+    if (this.isSymbol(symbol)) return this.next();
+    return null;
+  }
+
+  expectSymbol(symbol) {
+    if (!this.isSymbol(symbol)) this.fail(`Expected '${symbol}'`);
+    return this.next();
+  }
+
+  describe(token) {
+    if (token.type === 'eof') return 'end of input';
+    if (token.type === 'string') return `string '${token.value}'`;
+    if (token.type === 'number') return `number ${token.raw}`;
+    return `'${token.value}'`;
+  }
+
+  fail(message, token = this.peek()) {
+    throw new SqlSyntaxError(`${message} but found ${this.describe(token)}`, token.line, token.column);
+  }
+
+  // Column and table names: bare words that aren't reserved, or `quoted`.
+  identifier(what = 'identifier') {
+    const token = this.peek();
+    if (token.type === 'identifier' || (token.type === 'word' && !RESERVED.has(token.upper))) {
+      this.next();
+      return token.value;
+    }
+    return this.fail(`Expected ${what}`);
+  }
+
+  // ---- statements ----
+
+  parse() {
+    const statement = this.statement();
+    this.acceptSymbol(';');
+    if (this.peek().type !== 'eof') this.fail('Expected end of statement');
+    return statement;
+  }
+
+  statement() {
+    const token = this.peek();
+    if (token.type === 'word') {
+      switch (token.upper) {
+        case 'SELECT': return this.selectStatement();
+        case 'INSERT': return this.insertStatement();
+        case 'UPDATE': return this.updateStatement();
+        case 'DELETE': return this.deleteStatement();
+        case 'CREATE': return this.createStatement();
+        case 'ALTER': return this.alterStatement();
+        case 'DROP': return this.tableStatement('DROP', 'dropTable');
+        case 'TRUNCATE': return this.tableStatement('TRUNCATE', 'truncateTable');
+        case 'GET':
+          this.next();
+          this.expectKeyword('TABLES');
+          return { type: 'getTables' };
+        case 'SHOW':
+          this.next();
+          this.expectKeyword('TABLE');
+          this.expectKeyword('DETAIL');
+          return { type: 'showTableDetail', table: this.peek().type === 'eof' || this.isSymbol(';') ? null : this.identifier('table name') };
+      }
+    }
+    return this.fail('Expected a SQL statement');
+  }
+
+  // SELECT [DISTINCT] items FROM table [alias] [[INNER | LEFT [OUTER]] JOIN table [alias] ON expr ...]
+  //   [WHERE expr] [GROUP BY cols] [HAVING expr] [ORDER BY ...] [LIMIT n] [OFFSET n]
+  selectStatement() {
+    this.expectKeyword('SELECT');
+    const distinct = !!this.acceptKeyword('DISTINCT');
+    const columns = [];
+    if (this.isSymbol('*')) {
+      const star = this.next();
+      columns.push({ type: 'star', table: null, line: star.line, column: star.column });
+    } else {
+      do {
+        columns.push(this.selectItem());
+      } while (this.acceptSymbol(','));
+    }
+
+    this.expectKeyword('FROM');
+    const from = this.tableRef();
+
+    const joins = [];
+    while (this.isKeyword('JOIN') || this.isKeyword('INNER') || this.isKeyword('LEFT')) {
+      const token = this.next();
+      let kind = 'inner';
+      if (token.upper === 'LEFT') {
+        kind = 'left';
+        this.acceptKeyword('OUTER');
+      }
+      if (token.upper !== 'JOIN') this.expectKeyword('JOIN');
+      const table = this.tableRef();
+      this.expectKeyword('ON');
+      joins.push({ kind, ...table, on: this.expression(), line: token.line, column: token.column });
+    }
+
+    const where = this.acceptKeyword('WHERE') ? this.expression() : null;
+
+    const groupBy = [];
+    if (this.acceptKeyword('GROUP')) {
+      this.expectKeyword('BY');
+      do {
+        groupBy.push(this.columnRef());
+      } while (this.acceptSymbol(','));
+    }
+
+    const having = this.acceptKeyword('HAVING') ? this.expression() : null;
+
+    const orderBy = [];
+    if (this.acceptKeyword('ORDER')) {
+      this.expectKeyword('BY');
+      do {
+        const column = this.isAggregateCall() ? this.aggregateCall() : this.columnRef();
+        let direction = 'asc';
+        if (this.acceptKeyword('DESC')) direction = 'desc';
+        else this.acceptKeyword('ASC');
+        orderBy.push({ column, direction });
+      } while (this.acceptSymbol(','));
+    }
+
+    let limit = null;
+    let offset = null;
+    if (this.acceptKeyword('LIMIT')) limit = this.integer();
+    if (this.acceptKeyword('OFFSET')) offset = this.integer();
+
+    return { type: 'select', distinct, columns, from, joins, where, groupBy, having, orderBy, limit, offset };
+  }
+
+  // table [[AS] alias]
+  tableRef() {
+    const token = this.peek();
+    const name = this.identifier('table name');
+    let alias = null;
+    if (this.acceptKeyword('AS')) {
+      alias = this.identifier('table alias');
+    } else if (this.peek().type === 'identifier' || (this.peek().type === 'word' && !RESERVED.has(this.peek().upper))) {
+      alias = this.identifier('table alias');
+    }
+    return { name, alias, line: token.line, column: token.column };
+  }
+
+  // A column, `alias.*` or aggregate in the SELECT list, optionally `AS alias`
+  selectItem() {
+    if (this.isSymbol('.', 1) && this.isSymbol('*', 2)) {
+      const token = this.peek();
+      const table = this.identifier('table name');
+      this.next();
+      this.next();
+      return { type: 'star', table, line: token.line, column: token.column };
+    }
+    const item = this.isAggregateCall() ? this.aggregateCall() : this.columnRef();
+    if (this.acceptKeyword('AS')) item.alias = this.identifier('alias');
+    return item;
+  }
+
+  isAggregateCall() {
+    const token = this.peek();
+    return token.type === 'word' && AGGREGATE_FUNCTIONS.includes(token.upper) && this.isSymbol('(', 1);
+  }
+
+  // COUNT(*), COUNT([DISTINCT] col), SUM(col), AVG(col), MIN(col), MAX(col)
+  aggregateCall() {
+    const token = this.next();
+    this.expectSymbol('(');
+    const distinct = !!this.acceptKeyword('DISTINCT');
+    let arg;
+    if (!distinct && token.upper === 'COUNT' && this.acceptSymbol('*')) {
+      arg = { type: 'star' };
+    } else {
+      arg = this.columnRef();
+    }
+    this.expectSymbol(')');
+    return { type: 'aggregate', fn: token.upper, distinct, arg, line: token.line, column: token.column };
+  }
+
+  // INSERT INTO table (cols) VALUES (vals)[, (vals) ...]
+  insertStatement() {
+    this.expectKeyword('INSERT');
+    this.expectKeyword('INTO');
+    const table = this.identifier('table name');
+
+    this.expectSymbol('(');
+    const columns = [];
+    do {
+      columns.push(this.identifier('column name'));
+    } while (this.acceptSymbol(','));
+    this.expectSymbol(')');
+
+    this.expectKeyword('VALUES');
+    const rows = [];
+    do {
+      const open = this.expectSymbol('(');
+      const values = [];
+      do {
+        values.push(this.literal());
+      } while (this.acceptSymbol(','));
+      this.expectSymbol(')');
+      if (values.length !== columns.length) {
+        throw new SqlSyntaxError(
+          `Expected ${columns.length} values but found ${values.length}`,
+          open.line,
+          open.column
+        );
+      }
+      rows.push(values);
+    } while (this.acceptSymbol(','));
+
+    return { type: 'insert', table, columns, rows };
+  }
+
+  // UPDATE table SET col = val[, ...] [WHERE expr]
+  updateStatement() {
+    this.expectKeyword('UPDATE');
+    const table = this.identifier('table name');
+    this.expectKeyword('SET');
+    const assignments = [];
+    do {
+      const column = this.identifier('column name');
+      this.expectSymbol('=');
+      assignments.push({ column, value: this.literal() });
+    } while (this.acceptSymbol(','));
+    const where = this.acceptKeyword('WHERE') ? this.expression() : null;
+    return { type: 'update', table, assignments, where };
+  }
+
+  // DELETE FROM table [WHERE expr]
+  deleteStatement() {
+    this.expectKeyword('DELETE');
+    this.expectKeyword('FROM');
+    const table = this.identifier('table name');
+    const where = this.acceptKeyword('WHERE') ? this.expression() : null;
+    return { type: 'delete', table, where };
+  }
+
+  // CREATE TABLE table (col [type] [NOT NULL | NULL | DEFAULT value | PRIMARY KEY
+  //   | UNIQUE | AUTO_INCREMENT] ..., ...)
+  createStatement() {
+    this.expectKeyword('CREATE');
+    this.expectKeyword('TABLE');
+    const table = this.identifier('table name');
+    this.expectSymbol('(');
+    const columns = [];
+    do {
+      columns.push(this.columnDefinition());
+    } while (this.acceptSymbol(','));
+    this.expectSymbol(')');
+    return { type: 'createTable', table, columns };
+  }
+
+  // `stopWords` are words that may follow the definition and aren't a type
+  columnDefinition(stopWords = []) {
+    const token = this.peek();
+    const column = { name: this.identifier('column name'), dataType: null, line: token.line, column: token.column };
+
+    // Type name, with optional size arguments that are accepted and ignored: VARCHAR(255), DECIMAL(10, 2)
+    const typeToken = this.peek();
+    if (typeToken.type === 'word' && !RESERVED.has(typeToken.upper) && !stopWords.includes(typeToken.upper)) {
+      this.next();
+      column.dataType = { name: typeToken.upper, line: typeToken.line, column: typeToken.column };
+      if (this.acceptSymbol('(')) {
+        do {
+          this.integer();
+        } while (this.acceptSymbol(','));
+        this.expectSymbol(')');
+      }
+    }
+
+    for (;;) {
+      if (this.acceptKeyword('NOT')) {
+        this.expectKeyword('NULL');
+        column.required = true;
+      } else if (this.acceptKeyword('NULL')) {
+        column.required = false;
+      } else if (this.acceptKeyword('DEFAULT')) {
+        column.default = this.literal();
+      } else if (this.acceptKeyword('PRIMARY')) {
+        this.expectKeyword('KEY');
+        column.primaryKey = true;
+      } else if (this.acceptKeyword('UNIQUE')) {
+        column.unique = true;
+      } else if (this.acceptKeyword('AUTO_INCREMENT') || this.acceptKeyword('AUTOINCREMENT')) {
+        column.autoIncrement = true;
+      } else {
+        break;
+      }
+    }
+    return column;
+  }
+
+  // ALTER TABLE table ADD [COLUMN] col [type] [constraints] [FIRST | AFTER col]
+  //   | DROP [COLUMN] col | RENAME [COLUMN] col TO col | MODIFY [COLUMN] col FIRST | AFTER col
+  alterStatement() {
+    this.expectKeyword('ALTER');
+    this.expectKeyword('TABLE');
+    const table = this.identifier('table name');
+    if (this.acceptKeyword('ADD')) {
+      this.columnKeyword();
+      const column = this.columnDefinition(PLACEMENT_KEYWORDS);
+      return { type: 'alterTable', action: 'addColumn', table, column, placement: this.placement() };
+    }
+    if (this.acceptKeyword('DROP')) {
+      this.columnKeyword();
+      return { type: 'alterTable', action: 'dropColumn', table, column: this.identifier('column name') };
+    }
+    if (this.acceptKeyword('RENAME')) {
+      this.columnKeyword();
+      const from = this.identifier('column name');
+      this.expectKeyword('TO');
+      return { type: 'alterTable', action: 'renameColumn', table, from, to: this.identifier('column name') };
+    }
+    if (this.acceptKeyword('MODIFY')) {
+      this.columnKeyword();
+      const column = this.identifier('column name');
+      const placement = this.placement();
+      if (!placement) this.fail('Expected FIRST or AFTER');
+      return { type: 'alterTable', action: 'moveColumn', table, column, placement };
+    }
+    return this.fail('Expected ADD, DROP, RENAME or MODIFY');
+  }
+
+  // The optional COLUMN in ALTER TABLE. A column can itself be named
+  // "column", so it's only skipped when a name follows.
+  columnKeyword() {
+    const next = this.peek(1);
+    if (this.isKeyword('COLUMN') && (next.type === 'identifier' || next.type === 'word')) this.next();
+  }
+
+  // FIRST | AFTER col => { first: true } | { after: col }, or null
+  placement() {
+    if (this.acceptKeyword('FIRST')) return { first: true };
+    if (this.acceptKeyword('AFTER')) return { after: this.identifier('column name') };
+    return null;
+  }
+
+  // DROP TABLE table / TRUNCATE TABLE table
+  tableStatement(keyword, type) {
+    this.expectKeyword(keyword);
+    this.expectKeyword('TABLE');
+    return { type, table: this.identifier('table name') };
+  }
+
+  // ---- expressions ----
+
+  expression() {
+    return this.orExpression();
+  }
+
+  orExpression() {
+    let left = this.andExpression();
+    while (this.isKeyword('OR')) {
+      const token = this.next();
+      const right = this.andExpression();
+      left = { type: 'logical', op: 'OR', left, right, line: token.line, column: token.column };
+    }
+    return left;
+  }
+
+  andExpression() {
+    let left = this.notExpression();
+    while (this.isKeyword('AND')) {
+      const token = this.next();
+      const right = this.notExpression();
+      left = { type: 'logical', op: 'AND', left, right, line: token.line, column: token.column };
+    }
+    return left;
+  }
+
+  notExpression() {
+    if (this.isKeyword('NOT')) {
+      const token = this.next();
+      return { type: 'not', expr: this.notExpression(), line: token.line, column: token.column };
+    }
+    return this.predicate();
+  }
+
+  predicate() {
+    if (this.isSymbol('(')) {
+      this.next();
+      const expr = this.expression();
+      this.expectSymbol(')');
+      return expr;
+    }
+
+    const left = this.operand();
+    const token = this.peek();
+
+    if (token.type === 'symbol' && COMPARISON_OPERATORS.includes(token.value)) {
+      this.next();
+      const op = token.value === '<>' ? '!=' : token.value;
+      return { type: 'comparison', op, left, right: this.operand(), line: token.line, column: token.column };
+    }
+
+    if (this.isKeyword('IS')) {
+      this.next();
+      const negated = !!this.acceptKeyword('NOT');
+      this.expectKeyword('NULL');
+      return { type: 'isNull', negated, left, line: token.line, column: token.column };
+    }
+
+    const negated = !!this.acceptKeyword('NOT');
+
+    if (this.acceptKeyword('LIKE')) {
+      return { type: 'like', negated, left, pattern: this.literal(), line: token.line, column: token.column };
+    }
+
+    if (this.acceptKeyword('IN')) {
+      this.expectSymbol('(');
+      const values = [];
+      do {
+        values.push(this.literal());
+      } while (this.acceptSymbol(','));
+      this.expectSymbol(')');
+      return { type: 'in', negated, left, values, line: token.line, column: token.column };
+    }
+
+    if (this.acceptKeyword('BETWEEN')) {
+      const low = this.operand();
+      this.expectKeyword('AND');
+      const high = this.operand();
+      return { type: 'between', negated, left, low, high, line: token.line, column: token.column };
+    }
+
+    return this.fail(negated ? 'Expected LIKE, IN or BETWEEN' : 'Expected a comparison operator');
+  }
+
+  operand() {
+    const token = this.peek();
+    if (this.isAggregateCall()) return this.aggregateCall();
+    if (token.type === 'identifier' || (token.type === 'word' && !RESERVED.has(token.upper))) {
+      return this.columnRef();
+    }
+    return this.literal();
+  }
+
+  // column or table.column
+  columnRef() {
+    const token = this.peek();
+    let table = null;
+    let name = this.identifier('column name');
+    if (this.acceptSymbol('.')) {
+      table = name;
+      name = this.identifier('column name');
+    }
+    return { type: 'column', table, name, line: token.line, column: token.column };
+  }
+
+  literal() {
+    const token = this.peek();
+    const node = (value, raw) => ({ type: 'literal', value, raw, line: token.line, column: token.column });
+
+    if (token.type === 'string') {
+      this.next();
+      return node(token.value, token.value);
+    }
+    if (token.type === 'number') {
+      this.next();
+      return node(token.value, token.raw);
+    }
+    if (this.isSymbol('-') && this.peek(1).type === 'number') {
+      this.next();
+      const number = this.next();
+      return node(-number.value, `-${number.raw}`);
+    }
+    if (token.type === 'word') {
+      if (token.upper === 'NULL') {
+        this.next();
+        return node(null, '');
+      }
+      if (token.upper === 'TRUE' || token.upper === 'FALSE') {
+        this.next();
+        return node(token.upper === 'TRUE', token.upper);
+      }
+    }
+    return this.fail('Expected a value');
+  }
+
+  integer() {
+    const token = this.peek();
+    if (token.type !== 'number' || !Number.isInteger(token.value) || token.value < 0) {
+      this.fail('Expected a non-negative integer');
+    }
+    this.next();
+    return token.value;
+  }
+}
+
+function parse(sql) {
+  if (typeof sql !== 'string') throw new TypeError('SQL query must be a string');
+  return new Parser(sql).parse();
+}
+
+module.exports = { parse, RESERVED };
@@ -0,0 +1,157 @@
+const EventEmitter = require('events');
+
+const DEFAULT_INTERVAL = 5000;
+
+// Polls a tab and reports how the rows matching `where` changed since the
+// last poll. Rows are matched up by `key`: the db's idColumn, else the
+// tab's primary key, else the row number (which shifts when rows are
+// inserted or removed above, so such edits show up as updates).
+//
+// Events, each also emitted as 'change' and yielded by the async iterator:
+//   insert  { type, key, row }
+//   update  { type, key, row, previous, changes: { column: { from, to } } }
+//   delete  { type, key, row }   row as it was last seen
+// A row that stops matching `where` (or is soft-deleted, see the
+// softDelete option) counts as deleted, one that starts
+// matching as inserted. 'ready' fires after the first poll, 'error' when a
+// poll fails (polling goes on).
+class Watcher extends EventEmitter {
+  constructor(db, where = {}, { interval = DEFAULT_INTERVAL, key = null, emitInitial = false } = {}) {
+    super();
+    this.db = db;
+    this.where = where;
+    this.interval = interval;
+    this.key = key || db.idColumn || db._primaryKey() || '_row';
+    this.emitInitial = emitInitial;
+    this.snapshot = null;
+    this.timer = null;
+    this.running = false;
+    this.iterators = new Set();
+  }
+
+  start() {
+    if (this.running) return this;
+    this.running = true;
+    this._schedule(0);
+    return this;
+  }
+
+  stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.iterators.forEach(iterator => iterator.finish());
+    this.iterators.clear();
+    return this;
+  }
+
+  _schedule(delay) {
+    this.timer = setTimeout(async () => {
+      try {
+        await this.poll();
+      } catch (err) {
+        // Without a listener an 'error' event would throw and end the process
+        if (this.listenerCount('error')) {
+          this.emit('error', err);
+        } else {
+          console.error('Error in watch():', err.message);
+        }
+      }
+      if (this.running) this._schedule(this.interval);
+    }, delay);
+  }
+
+  // Matching rows by key. Rows sharing a key value are told apart by the
+  // order they appear in.
+  async _read() {
+    // Polls have to see edits made outside this process
+    if (this.db.cache) this.db.cache.invalidate(this.db.sheetId, this.db.sheetName);
+    const data = await this.db._getSheetData();
+    const rows = this.db._applyFilter(this.db._visibleRows(data.filter(row => !this.db._isEmptyRow(row))), this.where);
+    const snapshot = new Map();
+    rows.forEach(row => {
+      const base = String(row[this.key] ?? '');
+      let key = base;
+      for (let n = 2; snapshot.has(key); n++) key = `${base}#${n}`;
+      snapshot.set(key, row);
+    });
+    return snapshot;
+  }
+
+  // Reads the tab once, emits the events for what changed and returns them
+  async poll() {
+    const current = await this._read();
+    const previous = this.snapshot;
+    this.snapshot = current;
+    const cast = row => this.db._castRows([row])[0];
+    const events = [];
+
+    if (!previous) {
+      if (this.emitInitial) current.forEach((row, key) => events.push({ type: 'insert', key, row: cast(row) }));
+    } else {
+      current.forEach((row, key) => {
+        const before = previous.get(key);
+        if (!before) {
+          events.push({ type: 'insert', key, row: cast(row) });
+          return;
+        }
+        const changes = {};
+        Object.keys({ ...before, ...row }).forEach(column => {
+          if (column === '_row' && this.key !== '_row') return;
+          if ((before[column] ?? '') !== (row[column] ?? '')) {
+            changes[column] = { from: before[column] ?? '', to: row[column] ?? '' };
+          }
+        });
+        if (Object.keys(changes).length) {
+          events.push({ type: 'update', key, row: cast(row), previous: cast(before), changes });
+        }
+      });
+      previous.forEach((row, key) => {
+        if (!current.has(key)) events.push({ type: 'delete', key, row: cast(row) });
+      });
+    }
+
+    events.forEach(event => {
+      this.emit(event.type, event);
+      this.emit('change', event);
+      this.iterators.forEach(iterator => iterator.push(event));
+    });
+    if (!previous) this.emit('ready');
+    return events;
+  }
+
+  // for await (const event of db.watch()) { ... } - leaving the loop stops
+  // the watcher
+  [Symbol.asyncIterator]() {
+    const queue = [];
+    const waiting = [];
+    const iterator = {
+      push: event => {
+        if (waiting.length) {
+          waiting.shift()({ value: event, done: false });
+        } else {
+          queue.push(event);
+        }
+      },
+      finish: () => {
+        while (waiting.length) waiting.shift()({ value: undefined, done: true });
+      },
+      next: () => {
+        if (queue.length) return Promise.resolve({ value: queue.shift(), done: false });
+        if (!this.running) return Promise.resolve({ value: undefined, done: true });
+        return new Promise(resolve => waiting.push(resolve));
+      },
+      return: () => {
+        this.stop();
+        return Promise.resolve({ value: undefined, done: true });
+      },
+      [Symbol.asyncIterator]() {
+        return this;
+      },
+    };
+    this.iterators.add(iterator);
+    return iterator;
+  }
+}
+
+module.exports = Watcher;
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { GoogleSheetDB, MemoryAdapter, createDb, createTable, plain } = require('./helpers');
+
+const { JsonFileAdapter } = GoogleSheetDB;
+
+test('runs CRUD against the in-memory adapter', async () => {
+  const db = await createTable('Users', ['name', 'age'], [{ name: 'Ann', age: 30 }, { name: 'Bob', age: 40 }]);
+
+  await db.update({ name: 'Bob' }, { age: 41 });
+  await db.insertOne({ name: 'Cy', age: 50 });
+  await db.delete({ name: 'Ann' }, { mode: 'remove' });
+
+  assert.deepEqual(plain(await db.select()), [
+    { name: 'Bob', age: '41' },
+    { name: 'Cy', age: '50' },
+  ]);
+});
+
+test('reads values back as strings and drops the USER_ENTERED apostrophe', async () => {
+  const adapter = new MemoryAdapter({ Sheet1: [['a', 'b']] });
+  await adapter.spreadsheets.values.update({
+    spreadsheetId: 'test',
+    range: 'Sheet1!A2:B2',
+    valueInputOption: 'USER_ENTERED',
+    resource: { values: [["'007", true]] },
+  });
+  const res = await adapter.spreadsheets.values.get({ spreadsheetId: 'test', range: 'Sheet1!A1:B2' });
+  assert.deepEqual(res.data.values, [['a', 'b'], ['007', 'TRUE']]);
+});
+
+test('adds and deletes tabs', async () => {
+  const adapter = new MemoryAdapter();
+  const db = createDb('Orders', { adapter });
+  await db.createTable(['id']);
+  assert.deepEqual((await db.getTables()).tables, ['Sheet1', 'Orders']);
+
+  await db.dropTable();
+  assert.deepEqual((await db.getTables()).tables, ['Sheet1']);
+});
+
+test('answers a missing tab like the API does', async () => {
+  const adapter = new MemoryAdapter();
+  await assert.rejects(
+    adapter.spreadsheets.values.get({ spreadsheetId: 'test', range: 'Nope!A1:B2' }),
+    err => err.code === 400
+  );
+});
+
+test('inserting before a row shifts the rows below', async () => {
+  const db = await createTable('Sheet1', ['name'], [{ name: 'Ann' }, { name: 'Cy' }]);
+  await db.insertBeforeRow({ name: 'Cy' }, { name: 'Bob' });
+  assert.deepEqual((await db.select()).map(row => [row._row, row.name]), [[2, 'Ann'], [3, 'Bob'], [4, 'Cy']]);
+});
+
+test('the JSON-file adapter persists tabs between instances', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sheetdb-'));
+  const file = path.join(dir, 'db.json');
+  try {
+    const db = new GoogleSheetDB(null, 'local', 'Notes', { adapter: new JsonFileAdapter(file) });
+    await db.createTable(['text']);
+    await db.insertOne({ text: 'hello' });
+
+    const reopened = new GoogleSheetDB(null, 'local', 'Notes', { adapter: new JsonFileAdapter(file) });
+    assert.deepEqual(plain(await reopened.select()), [{ text: 'hello' }]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('the JSON-file adapter saves concurrent writes one after another', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sheetdb-'));
+  const file = path.join(dir, 'db.json');
+  try {
+    const db = new GoogleSheetDB(null, 'local', 'Notes', { adapter: new JsonFileAdapter(file) });
+    await db.createTable(['n']);
+    const results = await Promise.allSettled([1, 2, 3, 4, 5].map(n => db.insertOne({ n })));
+    assert.deepEqual(results.map(result => result.status), Array(5).fill('fulfilled'));
+
+    const reopened = new GoogleSheetDB(null, 'local', 'Notes', { adapter: new JsonFileAdapter(file) });
+    assert.equal((await reopened.select()).length, 5);
+    assert.deepEqual(fs.readdirSync(dir), ['db.json']);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
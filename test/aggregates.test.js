@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTable } = require('./helpers');
+
+const SALES = [
+  { region: 'EU', customer: 'a', amount: 100 },
+  { region: 'EU', customer: 'a', amount: 50 },
+  { region: 'US', customer: 'b', amount: 300 },
+  { region: 'EU', customer: 'c', amount: '' },
+];
+
+function sales() {
+  return createTable('Sales', ['region', 'customer', 'amount'], SALES);
+}
+
+test('groups rows and names aggregates by their function and column', async () => {
+  const db = await sales();
+  const rows = await db.select({}, {
+    groupBy: ['region'],
+    aggregates: [
+      { fn: 'count' },
+      { fn: 'sum', column: 'amount', as: 'total' },
+      { fn: 'avg', column: 'amount' },
+      { fn: 'count', column: 'customer', distinct: true },
+    ],
+    orderBy: [{ column: 'total', direction: 'desc' }],
+  });
+  assert.deepEqual(rows, [
+    { region: 'US', count: 1, total: 300, avg_amount: 300, count_distinct_customer: 1 },
+    { region: 'EU', count: 3, total: 150, avg_amount: 75, count_distinct_customer: 2 },
+  ]);
+});
+
+test('summarises every row without groupBy and filters groups with having', async () => {
+  const db = await sales();
+  assert.deepEqual(await db.select({}, { aggregates: [{ fn: 'max', column: 'amount' }] }), [{ max_amount: 300 }]);
+  const rows = await db.select({}, {
+    groupBy: ['region'],
+    aggregates: [{ fn: 'count', as: 'n' }],
+    having: { n: { op: '>', value: 1 } },
+  });
+  assert.deepEqual(rows, [{ region: 'EU', n: 3 }]);
+});
+
+test('runs GROUP BY, HAVING and DISTINCT in SQL', async () => {
+  const db = await sales();
+  assert.deepEqual(
+    await db.query('SELECT region, COUNT(*), SUM(amount) AS total FROM Sales GROUP BY region HAVING COUNT(*) > 1'),
+    [{ region: 'EU', 'COUNT(*)': 3, total: 150 }]
+  );
+  assert.deepEqual(await db.query('SELECT DISTINCT region FROM Sales'), [{ region: 'EU' }, { region: 'US' }]);
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MemoryAdapter, createTable, plain } = require('./helpers');
+
+// Counts the write calls made through the adapter, by method name
+function countWrites(adapter) {
+  const calls = {};
+  const values = adapter.spreadsheets.values;
+  ['update', 'batchUpdate', 'clear', 'batchClear'].forEach(method => {
+    const real = values[method];
+    values[method] = params => {
+      calls[method] = (calls[method] || 0) + 1;
+      return real(params);
+    };
+  });
+  return calls;
+}
+
+const ROWS = [{ name: 'a', n: 1 }, { name: 'b', n: 2 }, { name: 'c', n: 3 }];
+
+test('update() writes every matching row in one request', async () => {
+  const adapter = new MemoryAdapter();
+  const db = await createTable('Sheet1', ['name', 'n'], ROWS, { adapter });
+  const calls = countWrites(adapter);
+
+  const result = await db.update({ n: { op: '>', value: 1 } }, { n: 0 });
+  assert.equal(result.updatedCount, 2);
+  assert.deepEqual(calls, { batchUpdate: 1 });
+  assert.deepEqual(plain(await db.select()), [{ name: 'a', n: '1' }, { name: 'b', n: '0' }, { name: 'c', n: '0' }]);
+});
+
+test('delete() clears every matching row in one request', async () => {
+  const adapter = new MemoryAdapter();
+  const db = await createTable('Sheet1', ['name', 'n'], ROWS, { adapter });
+  const calls = countWrites(adapter);
+
+  assert.equal((await db.delete({ name: { op: 'in', value: ['a', 'c'] } })).deletedCount, 2);
+  assert.deepEqual(calls, { batchClear: 1 });
+});
+
+test('a write that matches nothing makes no request', async () => {
+  const adapter = new MemoryAdapter();
+  const db = await createTable('Sheet1', ['name', 'n'], ROWS, { adapter });
+  const calls = countWrites(adapter);
+
+  await db.update({ name: 'zz' }, { n: 9 });
+  await db.delete({ name: 'zz' });
+  assert.deepEqual(calls, {});
+});
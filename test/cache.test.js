@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemoryAdapter, createDb } = require('./helpers');
+
+// An adapter that counts values.get calls and shows the formula in B2 only
+// to FORMULA reads, like the API
+function countingAdapter() {
+  const adapter = new MemoryAdapter({ Sheet1: [['a', 'b'], ['1', '2']] });
+  const real = adapter.spreadsheets.values.get;
+  adapter.reads = 0;
+  adapter.spreadsheets.values.get = async params => {
+    adapter.reads += 1;
+    const res = await real(params);
+    if (params.valueRenderOption === 'FORMULA') res.data.values[1][1] = '=A2*2';
+    return res;
+  };
+  return adapter;
+}
+
+test('serves repeated reads from the cache until a write', async () => {
+  const adapter = countingAdapter();
+  const db = createDb('Sheet1', { adapter, cache: true });
+  await db.select();
+  const reads = adapter.reads;
+  await db.select();
+  assert.equal(adapter.reads, reads);
+
+  await db.insertOne({ a: 3 });
+  assert.deepEqual((await db.select()).map(row => row.a), ['1', '3']);
+  assert.ok(adapter.reads > reads);
+});
+
+test('reads with other render options are cached apart', async () => {
+  const adapter = countingAdapter();
+  const db = createDb('Sheet1', { adapter, cache: true });
+  const range = { spreadsheetId: 'test', range: 'Sheet1' };
+  await db.sheets.spreadsheets.values.get(range);
+  const res = await db.sheets.spreadsheets.values.get({ ...range, valueRenderOption: 'FORMULA' });
+  assert.equal(res.data.values[1][1], '=A2*2');
+  assert.equal(adapter.reads, 2);
+});
+
+test('file snapshots keep formulas with the cache on', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sheetdb-'));
+  try {
+    const db = createDb('Sheet1', { adapter: countingAdapter(), cache: true, snapshotDir: dir });
+    await db.sheets.spreadsheets.values.get({ spreadsheetId: 'test', range: 'Sheet1' });
+    assert.equal((await db.snapshotTable()).storage, 'file');
+    const [file] = fs.readdirSync(dir);
+    const snapshot = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+    assert.deepEqual(snapshot.values, [['a', 'b'], ['1', '=A2*2']]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('refresh() picks up edits made outside the library', async () => {
+  const adapter = countingAdapter();
+  const db = createDb('Sheet1', { adapter, cache: true });
+  await db.select();
+  await adapter.spreadsheets.values.update({
+    spreadsheetId: 'test',
+    range: 'Sheet1!A2',
+    valueInputOption: 'RAW',
+    resource: { values: [['9']] },
+  });
+  assert.deepEqual((await db.select()).map(row => row.a), ['1']);
+  db.refresh();
+  assert.deepEqual((await db.select()).map(row => row.a), ['9']);
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { main, parseArgs } = require('../lib/cli');
+
+// Runs the command on a local JSON file and collects its output
+async function run(file, ...args) {
+  const out = [];
+  const err = [];
+  const io = { stdout: { write: text => out.push(text) }, stderr: { write: text => err.push(text) }, env: {} };
+  const code = await main(['--local', file, ...args], io);
+  return { code, stdout: out.join(''), stderr: err.join('') };
+}
+
+function withFile(fn) {
+  return async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sheetql-'));
+    try {
+      await fn(path.join(dir, 'db.json'));
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+test('parses flags, inline values and statements', () => {
+  const options = parseArgs(['-s', 'abc', '--output=csv', '-t', 'Users', 'SELECT 1']);
+  assert.equal(options.sheetId, 'abc');
+  assert.equal(options.output, 'csv');
+  assert.equal(options.table, 'Users');
+  assert.deepEqual(options.statements, ['SELECT 1']);
+  assert.throws(() => parseArgs(['-o', 'xml']), /Unknown output format/);
+  assert.throws(() => parseArgs(['--nope']), /Unknown option/);
+});
+
+test('runs statements in order and prints the rows', withFile(async file => {
+  await run(file, 'CREATE TABLE Users (name, age); INSERT INTO Users (name, age) VALUES (\'Ann\', 30), (\'Bob\', 41)');
+  const { code, stdout } = await run(file, '-o', 'csv', 'SELECT name FROM Users WHERE age > 35');
+  assert.equal(code, 0);
+  assert.equal(stdout, 'name\r\nBob\r\n');
+
+  const json = await run(file, '-o', 'json', 'SELECT * FROM Users');
+  assert.deepEqual(JSON.parse(json.stdout).map(row => row.name), ['Ann', 'Bob']);
+}));
+
+test('stops at the first failing statement with status 1', withFile(async file => {
+  const { code, stderr } = await run(file, "CREATE TABLE t (a); SELECT * FROM; INSERT INTO t (a) VALUES ('x')");
+  assert.equal(code, 1);
+  assert.match(stderr, /Expected table name/);
+  assert.equal((await run(file, '-o', 'csv', 'SELECT * FROM t')).stdout.trim(), '');
+}));
+
+test('exits with status 2 without a spreadsheet to work on', async () => {
+  const err = [];
+  const code = await main(['SELECT 1'], { stdout: { write() {} }, stderr: { write: text => err.push(text) }, env: {} });
+  assert.equal(code, 2);
+  assert.match(err.join(''), /Missing credentials/);
+});
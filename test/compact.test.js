@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTable } = require('./helpers');
+
+const ROWS = [{ name: 'a' }, { name: 'b' }, { name: 'c' }, { name: 'd' }];
+
+async function rowsOf(db) {
+  return (await db.select()).map(row => [row._row, row.name]);
+}
+
+test('delete() in remove mode moves the rows below up', async () => {
+  const db = await createTable('Sheet1', ['name'], ROWS);
+  const result = await db.delete({ name: { op: 'in', value: ['a', 'c'] } }, { mode: 'remove' });
+  assert.deepEqual(result.deletedRows, [2, 4]);
+  assert.deepEqual(await rowsOf(db), [[2, 'b'], [3, 'd']]);
+});
+
+test('compactTable() removes the blank rows cleared deletes left', async () => {
+  const db = await createTable('Sheet1', ['name'], ROWS);
+  await db.delete({ name: { op: 'in', value: ['b', 'c'] } });
+  assert.deepEqual(await rowsOf(db), [[2, 'a'], [3, ''], [4, ''], [5, 'd']]);
+
+  assert.deepEqual(await db.compactTable(), { success: true, removedCount: 2, removedRows: [3, 4] });
+  assert.deepEqual(await rowsOf(db), [[2, 'a'], [3, 'd']]);
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { GoogleSheetDB, createTable, plain } = require('./helpers');
+
+const { ConstraintError } = GoogleSheetDB;
+
+const USERS = [
+  { name: 'id', type: 'integer', primaryKey: true, autoIncrement: true },
+  { name: 'email', type: 'string', unique: true },
+  'name',
+];
+
+test('auto-increments empty primary keys', async () => {
+  const db = await createTable('Users', USERS);
+  assert.equal((await db.insertOne({ email: 'ann@example.com' })).insertedKey, '1');
+  // Counting starts above the largest key in the tab or the batch
+  assert.deepEqual((await db.insertMany([{ email: 'bo@example.com' }, { id: 10 }, {}])).insertedKeys, ['11', '10', '12']);
+});
+
+test('rejects duplicate primary keys and unique values', async () => {
+  const db = await createTable('Users', USERS, [{ email: 'ann@example.com' }]);
+  await assert.rejects(db.insertOne({ id: 1 }), err => err instanceof ConstraintError && err.column === 'id');
+  await assert.rejects(db.insertOne({ email: 'ann@example.com' }), err => err instanceof ConstraintError && err.column === 'email');
+  await assert.rejects(db.insertMany([{ email: 'x@example.com' }, { email: 'x@example.com' }]), ConstraintError);
+  assert.equal((await db.select()).length, 1);
+});
+
+test('an update may keep its own key but not take another row\'s', async () => {
+  const db = await createTable('Users', USERS, [{ email: 'a@example.com' }, { email: 'b@example.com' }]);
+  await db.update({ id: 1 }, { email: 'a@example.com', name: 'Ann' });
+  await assert.rejects(db.update({ id: 2 }, { email: 'a@example.com' }), ConstraintError);
+});
+
+test('fills uuid columns', async () => {
+  const db = await createTable('Tokens', [{ name: 'token', type: 'string', primaryKey: true, uuid: true }, 'label']);
+  const { insertedKey } = await db.insertOne({ label: 'x' });
+  assert.match(insertedKey, /^[0-9a-f-]{36}$/);
+});
+
+test('auto-increment copes with very long columns', async () => {
+  const db = await createTable('Big', USERS);
+  const data = Array.from({ length: 200000 }, (_, i) => ({ id: String(i + 1), email: '', name: '', _row: i + 2 }));
+  const changes = [{ row: ['', 'new@example.com', ''] }];
+  await db._applyConstraints(['id', 'email', 'name'], changes, data);
+  assert.equal(changes[0].row[0], '200001');
+});
+
+test('updateOrInsertBeforeRow finds an existing row by a numeric key', async () => {
+  const db = await createTable('Items', ['id', 'label'], [{ id: 1, label: 'one' }, { id: 2, label: 'two' }]);
+  const result = await db.updateOrInsertBeforeRow({ id: 2 }, 'id', { id: 1, label: 'uno' });
+  assert.equal(result.action, 'updated');
+  assert.deepEqual(plain(await db.select()), [{ id: '1', label: 'uno' }, { id: '2', label: 'two' }]);
+});
+
+test('updateOrInsertAfterRow finds an existing row by a numeric primary key', async () => {
+  const db = await createTable('Items', [{ name: 'id', type: 'integer', primaryKey: true }, 'label'], [
+    { id: 1, label: 'one' },
+    { id: 2, label: 'two' },
+  ]);
+  const result = await db.updateOrInsertAfterRow({ id: 1 }, { id: 2, label: 'dos' });
+  assert.equal(result.action, 'updated');
+  assert.deepEqual(plain(await db.select()), [{ id: 1, label: 'one' }, { id: 2, label: 'dos' }]);
+});
@@ -0,0 +1,25 @@
+// Shared setup for the tests: databases on an in-memory spreadsheet
+const GoogleSheetDB = require('..');
+
+const { MemoryAdapter } = GoogleSheetDB;
+
+// A db on tab `sheetName` of a fresh (or the given) in-memory spreadsheet
+function createDb(sheetName = 'Sheet1', options = {}) {
+  const adapter = options.adapter || new MemoryAdapter();
+  return new GoogleSheetDB(null, 'test', sheetName, { ...options, adapter });
+}
+
+// createDb() plus a table with `columns` holding `rows`
+async function createTable(sheetName, columns, rows = [], options = {}) {
+  const db = createDb(sheetName, options);
+  await db.createTable(columns);
+  if (rows.length) await db.insertMany(rows);
+  return db;
+}
+
+// Row objects without the _row position, for comparing contents
+function plain(rows) {
+  return rows.map(({ _row, ...values }) => values);
+}
+
+module.exports = { GoogleSheetDB, MemoryAdapter, createDb, createTable, plain };
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTable, plain } = require('./helpers');
+
+function users() {
+  return createTable('Users', ['email', 'role'], [{ email: 'ann@example.com', role: 'user' }]);
+}
+
+test('before hooks can change the data and where of a write', async () => {
+  const db = await users();
+  db.on('beforeInsert', ({ data }) => {
+    [].concat(data).forEach(row => {
+      row.email = row.email.trim().toLowerCase();
+    });
+  });
+  db.on('beforeUpdate', context => {
+    context.where = { email: context.where.email.toLowerCase() };
+  });
+
+  await db.insertMany([{ email: ' BOB@Example.com ' }]);
+  await db.update({ email: 'BOB@EXAMPLE.COM' }, { role: 'admin' });
+  assert.deepEqual(plain(await db.select({ email: 'bob@example.com' })), [{ email: 'bob@example.com', role: 'admin' }]);
+});
+
+test('a before hook cancels the call', async () => {
+  const db = await users();
+  db.on('beforeUpdate', context => {
+    if (context.data.role === 'root') context.cancel('Nobody gets root');
+  });
+  db.on('beforeDelete', () => false);
+
+  assert.deepEqual(await db.update({}, { role: 'root' }), { success: false, cancelled: true, error: 'Nobody gets root' });
+  assert.equal((await db.delete({})).cancelled, true);
+  assert.deepEqual(plain(await db.select()), [{ email: 'ann@example.com', role: 'user' }]);
+});
+
+test('after hooks see and can replace the result', async () => {
+  const db = await users();
+  const seen = [];
+  db.use({
+    afterDelete: context => {
+      seen.push([context.operation, context.table, context.result.deletedCount]);
+      context.result = { ...context.result, audited: true };
+    },
+  });
+  const result = await db.delete({ email: 'ann@example.com' });
+  assert.equal(result.audited, true);
+  assert.deepEqual(seen, [['delete', 'Users', 1]]);
+});
+
+test('catch-all hooks see every event, query statements included', async () => {
+  const db = await users();
+  const events = [];
+  db.use(({ event, operation }) => events.push(`${event}:${operation}`));
+  await db.query("INSERT INTO Users (email) VALUES ('cy@example.com')");
+  assert.deepEqual(events, ['beforeQuery:query', 'beforeInsert:insertOne', 'afterInsert:insertOne']);
+});
+
+test('a hook that throws fails the call', async () => {
+  const db = await users();
+  db.on('beforeInsert', () => {
+    throw new Error('no inserts today');
+  });
+  await assert.rejects(db.insertOne({ email: 'x' }), /no inserts today/);
+  assert.equal((await db.select()).length, 1);
+});
+
+test('updateOrInsert looks rows up with the where left by beforeUpdate', async () => {
+  const db = await users();
+  const contexts = [];
+  db.on('beforeUpdate', context => {
+    context.where = { email: context.where.email.toLowerCase() };
+  });
+  db.on('beforeInsert', context => contexts.push(context));
+
+  await db.updateOrInsert({ email: 'ANN@EXAMPLE.COM' }, { role: 'admin' });
+  assert.deepEqual(plain(await db.select()), [{ email: 'ann@example.com', role: 'admin' }]);
+
+  await db.insertAfterRow({ email: 'ann@example.com' }, { email: 'bob@example.com' });
+  assert.equal(contexts[0].operation, 'insertAfterRow');
+  assert.equal('where' in contexts[0], false);
+});
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTable, plain } = require('./helpers');
+
+function tasks() {
+  return createTable('Tasks', ['title', 'done'], [], { idColumn: '_id' });
+}
+
+test('ids stay with their rows when rows shift', async () => {
+  const db = await tasks();
+  const { insertedId } = await db.insertOne({ title: 'Write docs' });
+  assert.match(insertedId, /^[0-9a-f-]{36}$/);
+
+  await db.insertBeforeRow({ title: 'Write docs' }, { title: 'Plan docs' });
+  const row = await db.findById(insertedId);
+  assert.equal(row.title, 'Write docs');
+  assert.equal(row._row, 3);
+
+  await db.updateById(insertedId, { done: 'yes', _id: 'other' });
+  assert.equal((await db.findById(insertedId)).done, 'yes');
+
+  await db.deleteById(insertedId, { mode: 'remove' });
+  assert.equal(await db.findById(insertedId), null);
+  assert.deepEqual((await db.select()).map(row => row.title), ['Plan docs']);
+});
+
+test('keeps ids passed in with the data', async () => {
+  const db = await tasks();
+  const { insertedIds } = await db.insertMany([{ title: 'a', _id: 'a-1' }, { title: 'b' }]);
+  assert.equal(insertedIds[0], 'a-1');
+  assert.notEqual(insertedIds[1], insertedIds[0]);
+  assert.equal((await db.findById('a-1')).title, 'a');
+});
+
+test('other tabs get no id or version column', async () => {
+  const db = await createTable('Tasks', ['title'], [], { idColumn: '_id', versionColumn: '_v' });
+  await db.query('CREATE TABLE other (a, b)');
+  await db.query("INSERT INTO other (a, b) VALUES ('1', '2')");
+  assert.deepEqual(await db._withTable('other')._getHeaders(), ['a', 'b']);
+  assert.deepEqual(plain(await db.query('SELECT * FROM other')), [{ a: '1', b: '2' }]);
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable, PassThrough } = require('stream');
+const { parseCSV, toCSV } = require('../lib/csv');
+const { createDb, createTable, plain } = require('./helpers');
+
+function withDir(fn) {
+  return async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sheetdb-'));
+    try {
+      await fn(dir);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+test('parses quoted CSV fields and writes them back', () => {
+  const text = 'name,note\r\n"Doe, J","said ""hi""\nthen left"\r\nAnn,\r\n';
+  const records = parseCSV(text);
+  assert.deepEqual(records, [['name', 'note'], ['Doe, J', 'said "hi"\nthen left'], ['Ann', '']]);
+  assert.equal(toCSV([{ name: 'Doe, J', note: 'said "hi"\nthen left' }, { name: 'Ann', note: '' }]), text);
+});
+
+test('imports a CSV file in batches, renaming and skipping columns', withDir(async dir => {
+  const file = path.join(dir, 'people.csv');
+  fs.writeFileSync(file, 'Name,E-mail,Internal ID\nAnn,ann@example.com,1\nBob,bob@example.com,2\nCy,cy@example.com,3\n');
+  const db = await createTable('People', ['name', 'email']);
+  const progress = [];
+
+  const result = await db.importFrom(file, {
+    columns: { 'E-mail': 'email' },
+    chunkSize: 2,
+    onProgress: ({ insertedCount }) => progress.push(insertedCount),
+  });
+  assert.deepEqual(result, { success: true, insertedCount: 3, skippedColumns: ['Internal ID'] });
+  assert.deepEqual(progress, [2, 3]);
+  assert.deepEqual(plain(await db.select()).map(row => row.email), ['ann@example.com', 'bob@example.com', 'cy@example.com']);
+}));
+
+test('imports NDJSON from a stream and can create the table', async () => {
+  const db = createDb('Events');
+  const stream = Readable.from(['{"kind":"a","n":1}\n{"kind":', '"b","n":2}\n']);
+  const result = await db.importFrom(stream, { format: 'ndjson', createTable: true });
+  assert.equal(result.insertedCount, 2);
+  assert.deepEqual(plain(await db.select()), [{ kind: 'a', n: '1' }, { kind: 'b', n: '2' }]);
+});
+
+test('exports selected rows as CSV, TSV or NDJSON', withDir(async dir => {
+  const db = await createTable('Orders', ['id', 'total', 'status'], [
+    { id: 1, total: 5, status: 'open' },
+    { id: 2, total: 7, status: 'paid' },
+    { id: 3, total: 9, status: 'open' },
+  ]);
+  const csv = path.join(dir, 'open.csv');
+  assert.deepEqual(await db.exportTo(csv, { where: { status: 'open' }, selectFields: ['id', 'total'] }), {
+    success: true,
+    exportedCount: 2,
+  });
+  assert.equal(fs.readFileSync(csv, 'utf8'), 'id,total\r\n1,5\r\n3,9\r\n');
+
+  const tsv = path.join(dir, 'orders.tsv');
+  await db.exportTo(tsv, { selectFields: ['id', 'status'] });
+  assert.match(fs.readFileSync(tsv, 'utf8'), /^id\tstatus\r\n1\topen\r\n/);
+
+  const out = new PassThrough();
+  const chunks = [];
+  out.on('data', chunk => chunks.push(chunk));
+  await db.exportTo(out, { format: 'ndjson', where: { id: 2 }, selectFields: ['id'] });
+  assert.equal(Buffer.concat(chunks).toString(), '{"id":"2"}\n');
+}));
+
+test('imports into an existing tab without headers', async () => {
+  const db = createDb('Sheet1');
+  const records = () => Readable.from(['{"kind":"a"}\n']);
+  assert.deepEqual(await db.importFrom(records(), { format: 'ndjson' }), {
+    success: false,
+    error: 'Table "Sheet1" has no headers; pass { createTable: true } to create them',
+    insertedCount: 0,
+  });
+  assert.equal((await db.importFrom(records(), { format: 'ndjson', createTable: true })).insertedCount, 1);
+  assert.deepEqual(plain(await db.select()), [{ kind: 'a' }]);
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MemoryAdapter, createTable } = require('./helpers');
+
+// orders and customers tabs in one spreadsheet, with a db on orders
+async function shop() {
+  const adapter = new MemoryAdapter();
+  await createTable('customers', ['id', 'name', 'city'], [
+    { id: 1, name: 'Ann', city: 'Paris' },
+    { id: 2, name: 'Bob', city: 'Rome' },
+  ], { adapter });
+  return createTable('orders', ['id', 'customer_id', 'total'], [
+    { id: 10, customer_id: 1, total: 250 },
+    { id: 11, customer_id: 3, total: 120 },
+    { id: 12, customer_id: 2, total: 80 },
+  ], { adapter });
+}
+
+test('statements run on the tab named in them', async () => {
+  const db = await shop();
+  await db.query("INSERT INTO customers (id, name) VALUES (3, 'Cy')");
+  assert.deepEqual((await db.query('SELECT name FROM customers WHERE id > 1')).map(row => row.name), ['Bob', 'Cy']);
+  assert.equal((await db.select()).length, 3);
+});
+
+test('LEFT JOIN keeps unmatched rows with empty cells', async () => {
+  const db = await shop();
+  const rows = await db.query(
+    'SELECT o.id, c.name, city FROM orders o LEFT JOIN customers c ON o.customer_id = c.id WHERE o.total > 100 ORDER BY o.total DESC'
+  );
+  assert.deepEqual(rows, [
+    { 'o.id': '10', 'c.name': 'Ann', city: 'Paris' },
+    { 'o.id': '11', 'c.name': '', city: '' },
+  ]);
+});
+
+test('an inner JOIN drops unmatched rows and * qualifies shared columns', async () => {
+  const db = await shop();
+  const rows = await db.query('SELECT * FROM orders JOIN customers ON orders.customer_id = customers.id');
+  assert.deepEqual(rows.map(row => [row['orders.id'], row['customers.id'], row.name]), [['10', '1', 'Ann'], ['12', '2', 'Bob']]);
+});
+
+test('rejects ambiguous column names', async () => {
+  const db = await shop();
+  await assert.rejects(db.query('SELECT id FROM orders o JOIN customers c ON o.customer_id = c.id'), /ambiguous/i);
+});
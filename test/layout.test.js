@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MemoryAdapter, createDb, createTable, plain } = require('./helpers');
+const { columnToLetter, letterToColumn } = require('../lib/a1');
+
+test('converts column numbers past Z', () => {
+  assert.deepEqual([0, 25, 26, 701, 702].map(columnToLetter), ['A', 'Z', 'AA', 'ZZ', 'AAA']);
+  assert.deepEqual(['A', 'Z', 'AA', 'ZZ', 'AAA'].map(letterToColumn), [0, 25, 26, 701, 702]);
+});
+
+test('handles tables wider than 26 columns', async () => {
+  const columns = Array.from({ length: 30 }, (_, i) => `c${i}`);
+  const db = await createTable('Wide', columns, [{ c0: 'first', c29: 'last' }]);
+  await db.update({ c29: 'last' }, { c28: 'x' });
+  const [row] = await db.select({ c0: 'first' });
+  assert.deepEqual([row.c28, row.c29], ['x', 'last']);
+});
+
+test('keeps side-by-side tables below a title block apart', async () => {
+  const adapter = new MemoryAdapter({
+    Report: [
+      ['Monthly report'],
+      [],
+      ['id', 'item', '', 'total'],
+      ['1', 'pen', '', '10'],
+    ],
+  });
+  const orders = createDb('Report', { adapter, headerRow: 3 });
+  const totals = createDb('Report', { adapter, headerRow: 3, headerStartColumn: 'D' });
+
+  assert.deepEqual(plain(await orders.select()), [{ id: '1', item: 'pen' }]);
+  assert.deepEqual((await totals.select()).map(row => [row._row, row.total]), [[4, '10']]);
+
+  await orders.insertOne({ id: 2, item: 'ink' });
+  await totals.update({ total: 10 }, { total: 12 });
+  const res = await adapter.spreadsheets.values.get({ spreadsheetId: 'test', range: 'Report' });
+  assert.deepEqual(res.data.values.slice(2), [
+    ['id', 'item', '', 'total'],
+    ['1', 'pen', '', '12'],
+    ['2', 'ink'],
+  ]);
+});
+
+test('removing rows leaves the table next to it alone', async () => {
+  const tab = () => new MemoryAdapter({
+    Sheet1: [
+      ['id', 'item', '', 'total'],
+      ['1', 'pen', '', '10'],
+      ['', '', '', '20'],
+      ['3', 'ink', '', '30'],
+    ],
+  });
+  const right = [['total'], ['10'], ['20'], ['30']];
+  const valuesOf = async (adapter, range) => (await adapter.spreadsheets.values.get({ spreadsheetId: 'test', range })).data.values;
+
+  const compacted = tab();
+  assert.deepEqual((await createDb('Sheet1', { adapter: compacted }).compactTable()).removedRows, [3]);
+  assert.deepEqual(await valuesOf(compacted, 'Sheet1!A1:B'), [['id', 'item'], ['1', 'pen'], ['3', 'ink']]);
+  assert.deepEqual(await valuesOf(compacted, 'Sheet1!D1:D'), right);
+
+  const removed = tab();
+  await createDb('Sheet1', { adapter: removed }).delete({ id: '1' }, { mode: 'remove' });
+  assert.deepEqual(await valuesOf(removed, 'Sheet1!A1:B'), [['id', 'item'], [], ['3', 'ink']]);
+  assert.deepEqual(await valuesOf(removed, 'Sheet1!D1:D'), right);
+
+  const totals = createDb('Sheet1', { adapter: removed, headerStartColumn: 'D' });
+  await totals.delete({ total: '10' }, { mode: 'remove' });
+  assert.deepEqual(await valuesOf(removed, 'Sheet1!D1:D'), [['total'], ['20'], ['30']]);
+  assert.deepEqual(await valuesOf(removed, 'Sheet1!A1:B'), [['id', 'item'], [], ['3', 'ink']]);
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { GoogleSheetDB, createTable, plain } = require('./helpers');
+
+const { Migrator } = GoogleSheetDB;
+
+function people() {
+  return createTable('People', ['id', 'name'], [{ id: 1, name: 'Ann' }, { id: 2, name: 'Bob' }]);
+}
+
+test('column changes keep the cells with their headers', async () => {
+  const db = await people();
+  await db.addColumn({ name: 'status', default: 'new' }, { after: 'id' });
+  await db.addColumn({ name: 'seq', type: 'integer', autoIncrement: true }, { first: true });
+  await db.renameColumn('name', 'full_name');
+  await db.moveColumn('full_name', { after: 'seq' });
+  const result = await db.dropColumn('status');
+
+  assert.deepEqual(result, { success: true, columns: ['seq', 'full_name', 'id'] });
+  assert.deepEqual(plain(await db.select()), [
+    { seq: 1, full_name: 'Ann', id: '1' },
+    { seq: 2, full_name: 'Bob', id: '2' },
+  ]);
+});
+
+test('ALTER TABLE runs the same column changes', async () => {
+  const db = await people();
+  await db.query("ALTER TABLE People ADD COLUMN email DEFAULT 'none' AFTER id");
+  await db.query('ALTER TABLE People DROP COLUMN name');
+  assert.deepEqual(plain(await db.select()), [{ id: '1', email: 'none' }, { id: '2', email: 'none' }]);
+});
+
+test('runs migrations in order and records them', async () => {
+  const db = await people();
+  const migrator = new Migrator(db, [
+    { id: '001', up: db => db.addColumn('email'), down: db => db.dropColumn('email') },
+    { id: '002', up: db => db.addColumn('phone'), down: db => db.dropColumn('phone') },
+  ]);
+
+  assert.deepEqual((await migrator.up({ to: '001' })).applied, ['001']);
+  assert.deepEqual((await migrator.up()).applied, ['002']);
+  assert.deepEqual((await migrator.status()).map(m => m.applied), [true, true]);
+  assert.deepEqual(await db._getHeaders(), ['id', 'name', 'email', 'phone']);
+
+  assert.deepEqual((await migrator.down({ steps: 2 })).reverted, ['002', '001']);
+  assert.deepEqual(await db._getHeaders(), ['id', 'name']);
+  assert.deepEqual((await migrator.status()).map(m => m.applied), [false, false]);
+});
+
+test('stops at a failing migration and keeps the ones before it', async () => {
+  const db = await people();
+  const migrator = new Migrator(db, [
+    { id: '001', up: db => db.addColumn('email') },
+    { id: '002', up: () => ({ success: false, error: 'nope' }) },
+  ]);
+
+  await assert.rejects(migrator.up(), /Migration 002 \(up\) failed: nope/);
+  assert.deepEqual((await migrator.status()).map(m => m.applied), [true, false]);
+  assert.throws(() => new Migrator(db, [{ id: 'a', up() {} }, { id: 'a', up() {} }]), /Duplicate migration id/);
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MemoryAdapter, createTable } = require('./helpers');
+
+// Records the ranges of every values.batchGet call the adapter answers
+function recordBatchGets(adapter) {
+  const calls = [];
+  const batchGet = adapter.spreadsheets.values.batchGet;
+  adapter.spreadsheets.values.batchGet = params => {
+    calls.push(params.ranges);
+    return batchGet(params);
+  };
+  return calls;
+}
+
+test('select() with selectFields reads only the columns it needs', async () => {
+  const adapter = new MemoryAdapter();
+  const db = await createTable('Users', ['id', 'name', 'bio', 'age', 'city'], [
+    { id: 1, name: 'Ann', bio: 'long text', age: 30, city: 'Paris' },
+    { id: 2, name: 'Bob', bio: 'more text', age: 40, city: 'Rome' },
+  ], { adapter });
+  const calls = recordBatchGets(adapter);
+
+  const rows = await db.select({ age: { op: '>', value: 35 } }, {
+    selectFields: ['name'],
+    orderBy: [{ column: 'id', direction: 'asc' }],
+  });
+
+  assert.deepEqual(rows, [{ name: 'Bob' }]);
+  assert.deepEqual(calls, [['Users!A2:B', 'Users!D2:D']]);
+});
+
+test('rows blank in the projected columns at the end of the table are kept', async () => {
+  const db = await createTable('Users', ['name', 'age', 'note'], [
+    { name: 'a', age: 1 },
+    { name: '', age: 2 },
+    { note: 'x' },
+  ]);
+  const projected = await db.select({}, { selectFields: ['name'] });
+  assert.deepEqual(projected, [{ name: 'a' }, { name: '' }, { name: '' }]);
+  assert.equal(projected.length, (await db.select()).length);
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTable } = require('./helpers');
+
+function orders() {
+  return createTable('orders', ['id', 'total', 'status', 'region', 'paid_at'], [
+    { id: 1, total: 50, status: 'new', region: 'EU', paid_at: '' },
+    { id: 2, total: 150, status: 'new', region: 'US', paid_at: '2024-01-02' },
+    { id: 3, total: 300, status: 'rush', region: 'EU', paid_at: '' },
+    { id: 4, total: 20, status: 'rush', region: 'APAC', paid_at: '2024-01-03' },
+  ]);
+}
+
+async function ids(builder) {
+  return (await builder.get()).map(row => row.id);
+}
+
+test('chained conditions are ANDed and orWhere starts an OR branch', async () => {
+  const db = await orders();
+  const query = db.table('orders')
+    .where('total', '>', 100)
+    .where('region', 'EU')
+    .orWhere(q => q.where('status', 'rush').whereNotNull('paid_at'));
+  assert.deepEqual(await ids(query), ['3', '4']);
+  assert.deepEqual(await ids(db.table('orders').whereIn('region', ['EU', 'US']).whereNot('status', 'rush')), ['1', '2']);
+  assert.deepEqual(await ids(db.table('orders').whereBetween('total', [50, 150])), ['1', '2']);
+});
+
+test('selects, sorts and pages like select()', async () => {
+  const db = await orders();
+  const rows = await db.table('orders').select('id', 'total').orderBy('total', 'desc').limit(2).offset(1).get();
+  assert.deepEqual(rows.map(({ _row, ...row }) => row), [{ id: '2', total: '150' }, { id: '1', total: '50' }]);
+  assert.equal((await db.table('orders').where('status', 'rush').first()).id, '3');
+  assert.equal(await db.table('orders').where('id', 9).first(), null);
+  assert.equal(await db.table('orders').count('paid_at'), 2);
+});
+
+test('clone() leaves the original builder alone', async () => {
+  const db = await orders();
+  const base = db.table('orders').where('region', 'EU');
+  const rush = base.clone().where('status', 'rush');
+  assert.deepEqual(await ids(base), ['1', '3']);
+  assert.deepEqual(await ids(rush), ['3']);
+});
+
+test('updates and deletes the matching rows', async () => {
+  const db = await orders();
+  assert.equal((await db.table('orders').where('region', 'EU').update({ status: 'done' })).updatedCount, 2);
+  await db.table('orders').where('status', 'done').delete({ mode: 'remove' });
+  assert.deepEqual(await ids(db.table('orders')), ['2', '4']);
+  await assert.rejects(db.table('orders').limit(1).delete(), /limit/);
+});
+
+test('prints the SELECT it stands for', async () => {
+  const db = await orders();
+  assert.equal(
+    db.table('orders').where('status', 'new').whereIn('region', ['EU', 'US']).toSQL(),
+    "SELECT * FROM orders WHERE status = 'new' AND region IN ('EU', 'US')"
+  );
+  assert.throws(() => db.table('orders').where('id', 'regex', '^1').toSQL());
+});
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const RetryingClient = require('../lib/retry');
+const { MemoryAdapter, createDb } = require('./helpers');
+
+function apiError(code) {
+  const err = new Error(`HTTP ${code}`);
+  err.code = code;
+  return err;
+}
+
+// An adapter whose values.get/append fail with `codes` (one per call)
+// before answering normally
+function flakyAdapter(method, codes) {
+  const adapter = new MemoryAdapter({ Sheet1: [['a'], ['1']] });
+  const real = adapter.spreadsheets.values[method];
+  const pending = [...codes];
+  adapter.calls = 0;
+  adapter.spreadsheets.values[method] = params => {
+    adapter.calls += 1;
+    if (pending.length) return Promise.reject(apiError(pending.shift()));
+    return real(params);
+  };
+  return adapter;
+}
+
+const FAST = { retries: 3, minDelay: 1, maxDelay: 5 };
+
+test('retries quota and server errors until the call succeeds', async () => {
+  const adapter = flakyAdapter('get', [429, 503]);
+  const db = createDb('Sheet1', { adapter, retry: FAST });
+  assert.deepEqual((await db.select()).map(row => row.a), ['1']);
+  assert.equal(adapter.calls, 3);
+  assert.equal(db.getRetryStats().retries, 2);
+});
+
+test('throws the last error once the retries are used up', async () => {
+  const adapter = flakyAdapter('get', [500, 500, 500, 500, 500]);
+  const db = createDb('Sheet1', { adapter, retry: FAST });
+  await assert.rejects(db.select(), err => err.code === 500);
+  assert.equal(adapter.calls, 4);
+});
+
+test('does not retry client errors', async () => {
+  const adapter = flakyAdapter('get', [400]);
+  const db = createDb('Sheet1', { adapter, retry: FAST });
+  await assert.rejects(db.select(), err => err.code === 400);
+  assert.equal(adapter.calls, 1);
+});
+
+test('retries appends on 429 only', async () => {
+  const throttled = flakyAdapter('append', [429]);
+  await createDb('Sheet1', { adapter: throttled, retry: FAST }).insertOne({ a: 2 });
+  assert.equal(throttled.calls, 2);
+
+  const failed = flakyAdapter('append', [503]);
+  await assert.rejects(createDb('Sheet1', { adapter: failed, retry: FAST }).insertOne({ a: 2 }), err => err.code === 503);
+  assert.equal(failed.calls, 1);
+});
+
+test('waits between half and all of the exponential delay', () => {
+  const client = new RetryingClient(new MemoryAdapter(), { retry: { minDelay: 100, maxDelay: 1000, factor: 2 } });
+  for (let i = 0; i < 50; i++) {
+    const delay = client._delay(new Error('x'), 2);
+    assert.ok(delay >= 200 && delay <= 400, `delay ${delay}`);
+  }
+  assert.ok(client._delay(new Error('x'), 10) <= 1000);
+});
+
+test('uses Retry-After when the server sends it', () => {
+  const client = new RetryingClient(new MemoryAdapter(), { retry: true });
+  const err = Object.assign(new Error('slow down'), { response: { status: 429, headers: { 'retry-after': '2' } } });
+  assert.equal(client._delay(err, 0), 2000);
+});
+
+test('the rate limiter holds calls back once the bucket is empty', async () => {
+  const db = createDb('Sheet1', { adapter: new MemoryAdapter({ Sheet1: [['a']] }), rateLimit: { readsPerMinute: 600 } });
+  await db.sheets.spreadsheets.values.get({ spreadsheetId: 'test', range: 'Sheet1!A1' });
+  for (let i = 0; i < 600; i++) db.retrier.buckets.read.reserve();
+  await db.sheets.spreadsheets.values.get({ spreadsheetId: 'test', range: 'Sheet1!A1' });
+  const stats = db.getRetryStats();
+  assert.equal(stats.throttled, 1);
+  assert.ok(stats.throttledMs > 0 && stats.throttledMs <= 200);
+});
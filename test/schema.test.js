@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { GoogleSheetDB, createTable, plain } = require('./helpers');
+
+const { ValidationError } = GoogleSheetDB;
+
+const ITEMS = [
+  { name: 'id', type: 'integer', required: true },
+  { name: 'zip', type: 'string' },
+  { name: 'price', type: 'number' },
+  { name: 'active', type: 'boolean', default: true },
+  { name: 'born', type: 'date' },
+  { name: 'meta', type: 'json' },
+];
+
+test('reads typed columns back as values of their type', async () => {
+  const db = await createTable('Items', ITEMS, [{ id: 1, zip: '01234', price: 2.5, born: '2024-01-31', meta: { a: 1 } }]);
+  const [row] = plain(await db.select());
+  assert.deepEqual(row, { id: 1, zip: '01234', price: 2.5, active: true, born: new Date('2024-01-31'), meta: { a: 1 } });
+});
+
+test('empty cells of non-string columns read as null', async () => {
+  const db = await createTable('Items', ITEMS, [{ id: 1 }]);
+  const [row] = await db.select();
+  assert.equal(row.price, null);
+  assert.equal(row.zip, '');
+});
+
+test('rejects values that do not fit and missing required columns', async () => {
+  const db = await createTable('Items', ITEMS);
+  await assert.rejects(db.insertOne({ id: 'x' }), err => err instanceof ValidationError && err.column === 'id');
+  await assert.rejects(db.insertOne({ zip: '1' }), err => err instanceof ValidationError && err.column === 'id');
+  await db.insertOne({ id: 1 });
+  await assert.rejects(db.update({ id: 1 }, { active: 'maybe' }), ValidationError);
+});
+
+test('filters and sorts by type rather than by column name', async () => {
+  const db = await createTable('Items', ITEMS, [{ id: 10 }, { id: 9 }, { id: 100 }]);
+  assert.deepEqual((await db.select({}, { orderBy: [{ column: 'id', direction: 'asc' }] })).map(row => row.id), [9, 10, 100]);
+  assert.deepEqual((await db.select({ id: { op: '>', value: 9 } })).map(row => row.id), [10, 100]);
+  assert.equal((await db.select({ active: true })).length, 3);
+});
+
+test('maps SQL type names onto the schema types', async () => {
+  const db = await createTable('Items', ['x']);
+  await db.query('CREATE TABLE Typed (id INT NOT NULL, name VARCHAR(10), ok BOOL, at TIMESTAMP, notes)');
+  await db.query("INSERT INTO Typed (id, name, ok) VALUES (1, '007', TRUE)");
+  assert.deepEqual(plain(await db.query('SELECT id, name, ok, notes FROM Typed')), [{ id: 1, name: '007', ok: true, notes: '' }]);
+});
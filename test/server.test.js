@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createServer, bearerAuth, whereFromQuery } = require('../lib/server');
+const { createTable } = require('./helpers');
+
+// Starts a server on a free port for `fn(request)`, and stops it afterwards
+async function withServer(options, fn) {
+  const db = await createTable('Users', [{ name: 'id', type: 'integer', primaryKey: true }, 'name', 'age'], [
+    { id: 1, name: 'Ann', age: 30 },
+    { id: 2, name: 'Bob', age: 41 },
+  ]);
+  const server = createServer(db, options);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const request = async (method, url, { body, headers = {} } = {}) => {
+    const res = await fetch(base + url, {
+      method,
+      headers: { 'content-type': 'application/json', ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    return { status: res.status, body: await res.json() };
+  };
+  try {
+    await fn(request);
+  } finally {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+test('turns query parameters into where filters', () => {
+  const where = whereFromQuery(new URLSearchParams('city=Paris&age[gte]=30&id[in]=1,2&limit=5'));
+  assert.deepEqual(where, {
+    city: 'Paris',
+    age: { op: '>=', value: '30' },
+    id: { op: 'in', value: ['1', '2'] },
+  });
+});
+
+test('offers no regex filter', () => {
+  assert.throws(() => whereFromQuery(new URLSearchParams('name[regex]=^(a+)+$')), err => err.status === 400);
+});
+
+test('serves rows and writes as JSON', async () => {
+  await withServer({}, async request => {
+    const list = await request('GET', '/tables/Users/rows?age[gt]=35&fields=name');
+    assert.equal(list.status, 200);
+    assert.deepEqual(list.body.rows.map(row => row.name), ['Bob']);
+
+    assert.equal((await request('POST', '/tables/Users/rows', { body: { id: 3, name: 'Cy' } })).status, 201);
+    assert.equal((await request('PATCH', '/tables/Users/rows/3', { body: { age: 50 } })).status, 200);
+    assert.equal((await request('DELETE', '/tables/Users/rows/1?mode=remove')).status, 200);
+
+    const { body } = await request('POST', '/query', { body: { sql: 'SELECT id, age FROM Users' } });
+    assert.deepEqual(body.map(row => [row.id, row.age]), [[2, '41'], [3, '50']]);
+  });
+});
+
+test('answers errors with a status and an error message', async () => {
+  await withServer({}, async request => {
+    assert.equal((await request('GET', '/nope')).status, 404);
+    assert.equal((await request('GET', '/tables/Users/rows?age[between]=1')).status, 400);
+    assert.equal((await request('GET', '/tables/Users/rows?name[regex]=(')).status, 400);
+    assert.equal((await request('GET', '/tables/%E0%A4%A/rows')).status, 400);
+    assert.equal((await request('PATCH', '/tables/Users/rows/9', { body: { age: 1 } })).status, 404);
+    assert.equal((await request('POST', '/tables/Users/rows', { body: { id: 1 } })).status, 409);
+    const bad = await request('POST', '/query', { body: { sql: 'SELEC' } });
+    assert.equal(bad.status, 400);
+    assert.ok(bad.body.error);
+  });
+});
+
+test('checks bearer tokens and refuses writes when read-only', async () => {
+  await withServer({ auth: bearerAuth('secret'), readOnly: true }, async request => {
+    assert.equal((await request('GET', '/tables')).status, 401);
+    const auth = { headers: { authorization: 'Bearer secret' } };
+    assert.equal((await request('GET', '/tables', auth)).status, 200);
+    assert.equal((await request('POST', '/tables/Users/rows', { ...auth, body: { id: 5 } })).status, 403);
+    assert.equal((await request('POST', '/query', { ...auth, body: { sql: 'DELETE FROM Users' } })).status, 403);
+  });
+});
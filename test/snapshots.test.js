@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createTable, plain } = require('./helpers');
+
+const ROWS = [{ name: 'Ann', status: 'open' }, { name: 'Bob', status: 'open' }];
+
+test('restores a tab from a hidden copy', async () => {
+  const db = await createTable('Users', ['name', 'status'], ROWS);
+  const { id, storage } = await db.snapshotTable();
+  assert.equal(storage, 'sheet');
+  assert.match(id, /^Users@\d{8}T\d+Z$/);
+
+  await db.update({}, { status: 'archived' });
+  assert.deepEqual((await db.listSnapshots()).snapshots.map(snapshot => snapshot.id), [id]);
+  assert.equal((await db.restoreSnapshot(id)).success, true);
+  assert.deepEqual(plain(await db.select()), ROWS);
+
+  await db.deleteSnapshot(id);
+  assert.deepEqual((await db.listSnapshots()).snapshots, []);
+  assert.deepEqual((await db.getTables()).tables, ['Sheet1', 'Users']);
+});
+
+test('keeps file snapshots in snapshotDir and recreates a dropped tab', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sheetdb-'));
+  try {
+    const db = await createTable('Users', ['name', 'status'], ROWS, { snapshotDir: dir });
+    const { id, storage } = await db.snapshotTable();
+    assert.equal(storage, 'file');
+    assert.equal(fs.readdirSync(dir).length, 1);
+
+    await db.dropTable();
+    await db.restoreSnapshot(id);
+    assert.deepEqual(plain(await db.select()), ROWS);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('autoSnapshot snapshots before an update of every row', async () => {
+  const db = await createTable('Users', ['name', 'status'], ROWS, { autoSnapshot: true });
+  const filtered = await db.update({ name: 'Ann' }, { status: 'x' });
+  assert.equal(filtered.snapshotId, undefined);
+
+  const { snapshotId } = await db.update({}, { status: 'archived' });
+  assert.ok(snapshotId);
+  await db.restoreSnapshot(snapshotId);
+  assert.deepEqual((await db.select()).map(row => row.status), ['x', 'open']);
+});
@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { GoogleSheetDB, MemoryAdapter, createDb, createTable } = require('./helpers');
+
+const { Migrator } = GoogleSheetDB;
+
+const OPTIONS = { timestamps: true, softDelete: true };
+
+function posts() {
+  return createTable('Posts', ['title'], [{ title: 'a' }, { title: 'b' }], OPTIONS);
+}
+
+test('createTable adds the timestamp and deleted_at columns', async () => {
+  const db = await posts();
+  assert.deepEqual(await db._getHeaders(), ['title', 'created_at', 'updated_at', 'deleted_at']);
+  const [row] = await db.select({ title: 'a' });
+  assert.match(row.created_at, /^\d{4}-\d\d-\d\dT/);
+  assert.equal(row.created_at, row.updated_at);
+});
+
+test('delete() marks live rows and leaves them out of reads', async () => {
+  const db = await posts();
+  const result = await db.delete({ title: 'a' });
+  assert.equal(result.soft, true);
+  assert.equal(result.deletedCount, 1);
+  assert.deepEqual((await db.select()).map(row => row.title), ['b']);
+  assert.deepEqual((await db.select({}, { onlyDeleted: true })).map(row => row.title), ['a']);
+  assert.equal((await db.select({}, { withDeleted: true })).length, 2);
+});
+
+test('delete() with withDeleted leaves earlier deletions alone', async () => {
+  const db = await posts();
+  await db.delete({ title: 'a' });
+  const [before] = await db.select({ title: 'a' }, { onlyDeleted: true });
+
+  const result = await db.delete({}, { withDeleted: true });
+  assert.deepEqual(result.deletedRows, [3]);
+  const [after] = await db.select({ title: 'a' }, { onlyDeleted: true });
+  assert.equal(after.deleted_at, before.deleted_at);
+});
+
+test('delete() with onlyDeleted purges soft-deleted rows and keeps live ones', async () => {
+  const db = await posts();
+  await db.delete({ title: 'a' });
+
+  const result = await db.delete({}, { onlyDeleted: true, mode: 'remove' });
+  assert.equal(result.soft, undefined);
+  assert.deepEqual(result.deletedRows, [2]);
+  const rows = await db.select({}, { withDeleted: true });
+  assert.deepEqual(rows.map(row => [row.title, row.deleted_at]), [['b', '']]);
+});
+
+test('delete() with onlyDeleted leaves a live row alone', async () => {
+  const db = await posts();
+  assert.equal((await db.delete({ title: 'a' }, { onlyDeleted: true })).deletedCount, 0);
+  assert.deepEqual((await db.select()).map(row => row.title), ['a', 'b']);
+});
+
+test('delete() with force removes live rows for real', async () => {
+  const db = await posts();
+  await db.delete({ title: 'a' }, { force: true, mode: 'remove' });
+  assert.deepEqual((await db.select({}, { withDeleted: true })).map(row => row.title), ['b']);
+});
+
+test('the query builder passes visibility on to delete()', async () => {
+  const db = await posts();
+  await db.delete({ title: 'a' });
+  await db.table('Posts').onlyDeleted().delete({ mode: 'remove' });
+  assert.deepEqual((await db.select({}, { withDeleted: true })).map(row => row.title), ['b']);
+});
+
+test('restore() brings soft-deleted rows back', async () => {
+  const db = await posts();
+  await db.delete({ title: 'a' });
+  const result = await db.restore({ title: 'a' });
+  assert.equal(result.restoredCount, 1);
+  assert.deepEqual((await db.select()).map(row => row.title), ['a', 'b']);
+});
+
+test('ties the options to the instance\'s own tab', async () => {
+  const adapter = new MemoryAdapter();
+  const db = await createTable('Posts', ['title'], [], { ...OPTIONS, adapter });
+
+  await db.query('CREATE TABLE logs (msg)');
+  assert.deepEqual(await db._withTable('logs')._getHeaders(), ['msg']);
+
+  await db.query("INSERT INTO logs (msg) VALUES ('one'), ('two')");
+  // Cleared like on a table without soft deletes
+  await db.query("DELETE FROM logs WHERE msg = 'one'");
+  assert.deepEqual((await db.query('SELECT * FROM logs')).map(row => row.msg), ['', 'two']);
+
+  await db.table('logs').where({ msg: 'two' }).delete();
+  assert.deepEqual(await db.query('SELECT * FROM logs'), []);
+});
+
+test('migrations can go up, down and up again with soft deletes on', async () => {
+  const db = await createTable('Posts', ['title'], [], OPTIONS);
+  const migrator = new Migrator(db, [{ id: '001', up: () => {}, down: () => {} }]);
+
+  await migrator.up();
+  await migrator.down();
+  assert.deepEqual((await migrator.up()).applied, ['001']);
+  assert.deepEqual(await migrator.log._getHeaders(), ['id', 'applied_at']);
+});
@@ -0,0 +1,150 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { tokenize, splitStatements } = require('../lib/sql/lexer');
+const { parse } = require('../lib/sql/parser');
+const { sqlToCommand } = require('../lib/sql/compiler');
+const { SqlSyntaxError } = require('../lib/errors');
+
+test('tokenizes strings with doubled quotes and backslash escapes', () => {
+  const strings = tokenize("SELECT 'it''s', 'a\\nb'").filter(token => token.type === 'string');
+  assert.deepEqual(strings.map(token => token.value), ["it's", 'a\nb']);
+});
+
+test('splits a script into statements, ignoring semicolons in strings and comments', () => {
+  const statements = splitStatements("SELECT ';' FROM a; -- x; y\nDELETE FROM b;;");
+  assert.equal(statements.length, 2);
+  assert.match(statements[0], /^SELECT ';' FROM a$/);
+  assert.match(statements[1], /DELETE FROM b$/);
+});
+
+test('compiles SELECT with WHERE, ORDER BY, LIMIT and OFFSET', () => {
+  const command = sqlToCommand(
+    "SELECT name, age FROM users WHERE age > 30 AND (city = 'Paris' OR city = 'Rome') ORDER BY age DESC LIMIT 5 OFFSET 2"
+  );
+  assert.deepEqual(command, {
+    operation: 'select',
+    table: 'users',
+    args: {
+      where: { age: { op: '>', value: 30 }, $or: [{ city: 'Paris' }, { city: 'Rome' }] },
+      options: {
+        selectFields: ['name', 'age'],
+        orderBy: [{ column: 'age', direction: 'desc' }],
+        limit: 5,
+        offset: 2,
+      },
+    },
+  });
+});
+
+test('SELECT * leaves selectFields out', () => {
+  assert.deepEqual(sqlToCommand('SELECT * FROM users').args, { where: {}, options: {} });
+});
+
+test('AND binds tighter than OR', () => {
+  assert.deepEqual(sqlToCommand('SELECT * FROM t WHERE a = 1 OR b = 2 AND c = 3').args.where, {
+    $or: [{ a: 1 }, { b: 2, c: 3 }],
+  });
+});
+
+test('compiles LIKE, IN, BETWEEN and IS NULL, negated or not', () => {
+  const { where } = sqlToCommand(
+    "DELETE FROM users WHERE name NOT LIKE 'A%' AND id IN (1, 2) AND x BETWEEN 1 AND 3 AND y IS NULL AND z IS NOT NULL"
+  ).args;
+  assert.deepEqual(where, {
+    name: { op: 'notLike', value: 'A%' },
+    id: { op: 'in', value: [1, 2] },
+    x: { op: 'between', value: [1, 3] },
+    y: { op: 'isEmpty' },
+    z: { op: 'isNotEmpty' },
+  });
+});
+
+test('repeated conditions on one column go into $and', () => {
+  assert.deepEqual(sqlToCommand('SELECT * FROM t WHERE age > 1 AND age < 5').args.where, {
+    age: { op: '>', value: 1 },
+    $and: [{ age: { op: '<', value: 5 } }],
+  });
+});
+
+test('flips comparisons written value-first', () => {
+  assert.deepEqual(sqlToCommand('SELECT * FROM t WHERE 10 < age').args.where, { age: { op: '>', value: 10 } });
+});
+
+test('INSERT keeps numbers as written and turns NULL into an empty cell', () => {
+  assert.deepEqual(sqlToCommand("INSERT INTO users (name, age) VALUES ('Ann', 1.50), ('Bob', NULL)"), {
+    operation: 'insertMany',
+    table: 'users',
+    args: { rows: [{ name: 'Ann', age: '1.50' }, { name: 'Bob', age: '' }] },
+  });
+  assert.equal(sqlToCommand("INSERT INTO users (name) VALUES ('Ann')").operation, 'insertOne');
+});
+
+test('compiles UPDATE and DELETE', () => {
+  assert.deepEqual(sqlToCommand("UPDATE users SET age = 31 WHERE name = 'it''s'").args, {
+    where: { name: "it's" },
+    newData: { age: '31' },
+  });
+  assert.deepEqual(sqlToCommand('DELETE FROM users').args, { where: {} });
+});
+
+test('CREATE TABLE declares types and constraints', () => {
+  const { columns } = sqlToCommand(
+    "CREATE TABLE t (id INT PRIMARY KEY AUTO_INCREMENT, name TEXT NOT NULL DEFAULT 'x', email VARCHAR UNIQUE, note)"
+  ).args;
+  assert.deepEqual(columns, [
+    { name: 'id', type: 'integer', primaryKey: true, autoIncrement: true },
+    { name: 'name', type: 'string', required: true, default: 'x' },
+    { name: 'email', type: 'string', unique: true },
+    'note',
+  ]);
+});
+
+test('compiles ALTER TABLE actions', () => {
+  assert.deepEqual(sqlToCommand('ALTER TABLE t ADD COLUMN c INT AFTER b').args, {
+    column: { name: 'c', type: 'integer' },
+    placement: { after: 'b' },
+  });
+  assert.deepEqual(sqlToCommand('ALTER TABLE t RENAME COLUMN a TO b').args, { from: 'a', to: 'b' });
+  assert.deepEqual(sqlToCommand('ALTER TABLE t DROP COLUMN a').args, { column: 'a' });
+});
+
+test('compiles GROUP BY with aggregates and HAVING on an alias', () => {
+  const { options } = sqlToCommand('SELECT region, COUNT(*) AS n, SUM(total) FROM s GROUP BY region HAVING n > 1').args;
+  assert.deepEqual(options, {
+    having: { n: { op: '>', value: 1 } },
+    groupBy: ['region'],
+    aggregates: [
+      { fn: 'count', column: '*', distinct: false, as: 'n' },
+      { fn: 'sum', column: 'total', distinct: false, as: 'SUM(total)' },
+    ],
+    selectFields: ['region', 'n', 'SUM(total)'],
+  });
+});
+
+test('compiles JOINs with qualified columns', () => {
+  const command = sqlToCommand('SELECT * FROM a LEFT JOIN b ON a.id = b.aid WHERE a.x = 1');
+  assert.equal(command.operation, 'join');
+  assert.deepEqual(command.args.joins, [{ kind: 'left', table: 'b', alias: 'b', on: [['a.id', 'b.aid']] }]);
+  assert.deepEqual(command.args.where, { 'a.x': 1 });
+});
+
+test('backticks allow reserved words as names', () => {
+  assert.equal(sqlToCommand('SELECT * FROM `order`').table, 'order');
+  assert.throws(() => parse('SELECT * FROM order'), SqlSyntaxError);
+});
+
+test('syntax errors report line and column', () => {
+  assert.throws(() => sqlToCommand('SELECT\n  FROM users'), err => {
+    assert.ok(err instanceof SqlSyntaxError);
+    assert.equal(err.line, 2);
+    assert.equal(err.column, 3);
+    return true;
+  });
+});
+
+test('rejects column-to-column comparisons and misplaced aggregates', () => {
+  assert.throws(() => sqlToCommand('SELECT * FROM t WHERE a = b'), SqlSyntaxError);
+  assert.throws(() => sqlToCommand('SELECT * FROM t WHERE COUNT(*) > 1'), SqlSyntaxError);
+  assert.throws(() => sqlToCommand('SELECT name, COUNT(*) FROM t'), SqlSyntaxError);
+  assert.throws(() => sqlToCommand('SELECT * FROM t ORDER BY COUNT(*)'), /ORDER BY need GROUP BY or an aggregate function in SELECT/);
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MemoryAdapter, createTable } = require('./helpers');
+
+// 25 rows, every third one closed, read through an adapter that counts reads
+async function tickets() {
+  const adapter = new MemoryAdapter();
+  const rows = Array.from({ length: 25 }, (_, i) => ({ n: i + 1, status: i % 3 === 2 ? 'closed' : 'open' }));
+  const db = await createTable('Tickets', ['n', 'status'], rows, { adapter });
+  const real = adapter.spreadsheets.values.get;
+  adapter.reads = 0;
+  adapter.spreadsheets.values.get = params => {
+    adapter.reads += 1;
+    return real(params);
+  };
+  return { db, adapter };
+}
+
+test('selectStream filters chunk by chunk and stops at the limit', async () => {
+  const { db, adapter } = await tickets();
+  const seen = [];
+  for await (const row of db.selectStream({ status: 'open' }, { chunkSize: 5, limit: 4, offset: 1 })) seen.push(row.n);
+  assert.deepEqual(seen, ['2', '4', '5', '7']);
+  assert.ok(adapter.reads <= 3, `${adapter.reads} reads`);
+});
+
+test('selectStream skips blank rows and projects fields', async () => {
+  const { db } = await tickets();
+  await db.delete({ status: 'closed' });
+  const rows = [];
+  for await (const row of db.selectStream({}, { chunkSize: 10, selectFields: ['n'] })) rows.push(row);
+  assert.equal(rows.length, 17);
+  assert.deepEqual(Object.keys(rows[0]).filter(key => key !== '_row'), ['n']);
+});
+
+test('selectPage walks the pages with a cursor', async () => {
+  const { db } = await tickets();
+  const pages = [];
+  let cursor;
+  do {
+    const page = await db.selectPage({ status: 'closed' }, { pageSize: 3, cursor });
+    pages.push(page.rows.map(row => row.n));
+    cursor = page.nextCursor;
+  } while (cursor);
+  assert.deepEqual(pages.flat(), ['3', '6', '9', '12', '15', '18', '21', '24']);
+  assert.deepEqual(pages[0], ['3', '6', '9']);
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { GoogleSheetDB, createTable } = require('./helpers');
+
+const { ConflictError } = GoogleSheetDB;
+
+function accounts() {
+  return createTable('Accounts', ['id', 'balance'], [{ id: 1, balance: 10 }], { versionColumn: '_version' });
+}
+
+test('new rows start at version 1 and each write adds one', async () => {
+  const db = await accounts();
+  assert.equal((await db.select({ id: 1 }))[0]._version, '1');
+  await db.update({ id: 1 }, { balance: 20 });
+  await db.update({ id: 1 }, { balance: 30 });
+  assert.equal((await db.select({ id: 1 }))[0]._version, '3');
+});
+
+test('a stale expectedVersion writes nothing and throws ConflictError', async () => {
+  const db = await accounts();
+  const [account] = await db.select({ id: 1 });
+  await db.update({ id: 1 }, { balance: 20 }, { expectedVersion: account._version });
+
+  await assert.rejects(db.update({ id: 1 }, { balance: 99 }, { expectedVersion: account._version }), err => {
+    assert.ok(err instanceof ConflictError);
+    assert.equal(err.row, 2);
+    assert.equal(String(err.expectedVersion), '1');
+    assert.equal(String(err.actualVersion), '2');
+    return true;
+  });
+  await assert.rejects(db.delete({ id: 1 }, { expectedVersion: 1 }), ConflictError);
+  assert.equal((await db.select({ id: 1 }))[0].balance, '20');
+});
+
+test('withRetry runs the mutation again after a conflict', async () => {
+  const db = await accounts();
+  let attempts = 0;
+  await db.withRetry(async db => {
+    attempts += 1;
+    const [account] = await db.select({ id: 1 });
+    // Another writer gets in between the first read and write
+    if (attempts === 1) await db.update({ id: 1 }, { balance: 15 });
+    return db.update({ id: 1 }, { balance: Number(account.balance) + 10 }, { expectedVersion: account._version });
+  });
+  assert.equal(attempts, 2);
+  assert.equal((await db.select({ id: 1 }))[0].balance, '25');
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+const Watcher = require('../lib/watcher');
+const { createTable } = require('./helpers');
+
+function tasks() {
+  return createTable('Tasks', [{ name: 'id', type: 'string', primaryKey: true }, 'title', 'status'], [
+    { id: 'a', title: 'Write', status: 'open' },
+    { id: 'b', title: 'Test', status: 'open' },
+  ]);
+}
+
+test('reports inserts, updates and deletes between polls', async () => {
+  const db = await tasks();
+  const watcher = new Watcher(db);
+  assert.deepEqual(await watcher.poll(), []);
+
+  await db.insertOne({ id: 'c', title: 'Ship', status: 'open' });
+  await db.update({ id: 'a' }, { status: 'done' });
+  await db.delete({ id: 'b' }, { mode: 'remove' });
+
+  const events = await watcher.poll();
+  assert.deepEqual(events.map(event => [event.type, event.key]).sort(), [['delete', 'b'], ['insert', 'c'], ['update', 'a']]);
+  const update = events.find(event => event.type === 'update');
+  assert.deepEqual(update.changes, { status: { from: 'open', to: 'done' } });
+});
+
+test('rows leaving or entering the filter count as deletes and inserts', async () => {
+  const db = await tasks();
+  const watcher = new Watcher(db, { status: 'open' }, { emitInitial: true });
+  assert.deepEqual((await watcher.poll()).map(event => event.type), ['insert', 'insert']);
+
+  await db.update({ id: 'a' }, { status: 'done' });
+  assert.deepEqual((await watcher.poll()).map(event => [event.type, event.key]), [['delete', 'a']]);
+});
+
+test('watch() polls on its own until stopped', async () => {
+  const db = await tasks();
+  const watcher = db.watch({}, { interval: 5 });
+  try {
+    await once(watcher, 'ready');
+    await db.insertOne({ id: 'c', title: 'Ship' });
+    const [event] = await once(watcher, 'insert');
+    assert.equal(event.row.title, 'Ship');
+  } finally {
+    watcher.stop();
+  }
+});
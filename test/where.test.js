@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTable } = require('./helpers');
+
+const PEOPLE = [
+  { name: 'Alice', age: 30, city: 'Paris', tags: 'admin' },
+  { name: 'bob', age: 9, city: 'Rome', tags: 'spam' },
+  { name: 'Carol', age: 45, city: '', tags: '' },
+  { name: 'Dave', age: 25, city: 'Paris', tags: 'spam' },
+];
+
+function people() {
+  return createTable('People', ['name', 'age', 'city', 'tags'], PEOPLE);
+}
+
+async function names(db, where) {
+  return (await db.select(where)).map(row => row.name);
+}
+
+test('compares numeric cells as numbers', async () => {
+  const db = await people();
+  assert.deepEqual(await names(db, { age: { op: '>', value: 10 } }), ['Alice', 'Carol', 'Dave']);
+  assert.deepEqual(await names(db, { age: { op: 'between', value: [25, 30] } }), ['Alice', 'Dave']);
+});
+
+test('supports the text operators, case-insensitively by default', async () => {
+  const db = await people();
+  assert.deepEqual(await names(db, { name: { op: 'like', value: 'b_b' } }), ['bob']);
+  assert.deepEqual(await names(db, { name: { op: 'startsWith', value: 'c' } }), ['Carol']);
+  assert.deepEqual(await names(db, { name: { op: 'regex', value: /^[A-C]/ } }), ['Alice', 'Carol']);
+  assert.deepEqual(await names(db, { name: { op: '=', value: 'BOB', caseSensitive: true } }), []);
+  assert.deepEqual(await names(db, { name: { op: '=', value: 'BOB' } }), ['bob']);
+  // A plain value is an exact match
+  assert.deepEqual(await names(db, { name: 'BOB' }), []);
+});
+
+test('supports in, notIn and the empty checks', async () => {
+  const db = await people();
+  assert.deepEqual(await names(db, { city: { op: 'in', value: ['Rome', 'Oslo'] } }), ['bob']);
+  assert.deepEqual(await names(db, { city: { op: 'notIn', value: ['Paris'] } }), ['bob', 'Carol']);
+  assert.deepEqual(await names(db, { city: { op: 'isEmpty' } }), ['Carol']);
+});
+
+test('nests $and, $or and $not groups', async () => {
+  const db = await people();
+  const where = {
+    $or: [{ city: 'Paris' }, { age: { op: '>', value: 40 } }],
+    $not: { tags: { op: 'contains', value: 'spam' } },
+  };
+  assert.deepEqual(await names(db, where), ['Alice', 'Carol']);
+  assert.deepEqual(await names(db, { $and: [{ city: 'Paris' }, { $or: [{ age: 25 }, { age: 9 }] }] }), ['Dave']);
+});
+
+test('update and delete take the same filters', async () => {
+  const db = await people();
+  await db.update({ $or: [{ name: 'Alice' }, { name: 'Dave' }] }, { city: 'Lyon' });
+  await db.delete({ tags: { op: 'in', value: ['spam'] } }, { mode: 'remove' });
+  assert.deepEqual((await db.select()).map(row => [row.name, row.city]), [['Alice', 'Lyon'], ['Carol', '']]);
+});